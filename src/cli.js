@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Command line interface of Release Sync, for synchronizing releases outside of GitHub Actions
+ * (e.g., on Jenkins or GitLab CI):
+ *
+ *   release-sync publish --tag v1.2.0 --platforms gitee --assets 'dist/*'
+ *
+ * Every input of action.yml can be given as an option ("--gitee-owner me"), as an environment
+ * variable (RELEASE_SYNC_GITEE_OWNER=me) or in a YAML/JSON file passed with --inputs-file. Options take
+ * precedence over environment variables, environment variables over the inputs file, and the
+ * inputs file over the defaults of action.yml. The "<name>-*" inputs of custom platform adapters
+ * are read from environment variables and the inputs file. The synchronization itself is the one
+ * of the GitHub Action (./run.js), logging plain messages instead of workflow commands.
+ */
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { run } = require('./run');
+const { builtinAdapters } = require('./platforms');
+
+// Commands of the command line interface
+const COMMANDS = ['publish'];
+
+// Short option names of frequently used inputs
+const OPTION_ALIASES = { assets: 'asset-files' };
+
+// Inputs that take one value per line; their options can be repeated ("--assets a.zip --assets b.zip")
+const MULTI_VALUE_INPUTS = ['asset-files', 'cleanup-protect'];
+
+// Prefix of the environment variables that set inputs (e.g., RELEASE_SYNC_GITEE_TOKEN for gitee-token)
+const ENV_PREFIX = 'RELEASE_SYNC_';
+
+/**
+ * Reads the inputs declared in action.yml, so that the command line interface offers exactly the
+ * inputs of the action with the same defaults.
+ *
+ * @returns {Object} Map of input name to its { description, default, boolean }, where default is
+ *   undefined for defaults that are GitHub Actions expressions (e.g., "${{ github.token }}")
+ */
+function loadActionInputs() {
+    const action = YAML.parse(fs.readFileSync(path.join(__dirname, '..', 'action.yml'), 'utf8'));
+    const inputs = {};
+    for (const [name, input] of Object.entries(action.inputs)) {
+        const defaultValue = input.default === undefined ? undefined : String(input.default);
+        inputs[name] = {
+            description: input.description,
+            default: defaultValue && !defaultValue.includes('${{') ? defaultValue : undefined,
+            boolean: defaultValue === 'true' || defaultValue === 'false'
+        };
+    }
+    return inputs;
+}
+
+/**
+ * Returns the environment variable that sets an input.
+ *
+ * @param {string} name - Input name (e.g., "gitee-token")
+ * @returns {string} The variable name (e.g., "RELEASE_SYNC_GITEE_TOKEN")
+ */
+function getEnvName(name) {
+    return `${ENV_PREFIX}${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Checks whether a name that is not an input of action.yml can be an input of a custom platform
+ * adapter ("<name>-<key>", where name is not a built-in platform).
+ *
+ * @param {string} name - Input name
+ * @returns {boolean} True if a custom adapter may read the input
+ */
+function isAdapterInput(name) {
+    const match = name.match(/^([^-]+)-./);
+    return Boolean(match) && !builtinAdapters[match[1].toLowerCase()];
+}
+
+/**
+ * Reads input values from a YAML or JSON file whose keys are input names. Lists are joined into
+ * one value per line (e.g., for asset-files).
+ *
+ * @param {string} filePath - Path of the file
+ * @param {Object} actionInputs - Inputs returned by loadActionInputs()
+ * @returns {Object} Map of input name to its value
+ * @throws {Error} Throws if the file cannot be read or contains unknown inputs (other than those of
+ *   custom platform adapters) or invalid values
+ */
+function loadInputsFile(filePath, actionInputs) {
+    let content;
+    try {
+        content = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+        throw new Error(`Failed to read the inputs file ${filePath}: ${error.message}`);
+    }
+    if (typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error(`Inputs file ${filePath} must contain a mapping of input names to values`);
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(content)) {
+        if (!actionInputs[key] && !isAdapterInput(key)) {
+            throw new Error(`Inputs file ${filePath} sets the unknown input "${key}"`);
+        }
+        const items = Array.isArray(value) ? value : [value];
+        if (items.some(item => item !== null && typeof item === 'object')) {
+            throw new Error(`Inputs file ${filePath} sets input "${key}" to an invalid value: inputs must be strings, numbers, booleans or lists of them`);
+        }
+        values[key] = items.filter(item => item !== null).map(String).join('\n');
+    }
+    return values;
+}
+
+/**
+ * Builds the parseArgs() options: a string option for every input (repeatable for inputs that
+ * take one value per line), a flag plus "--no-<name>" for boolean inputs, and the aliases.
+ *
+ * @param {Object} actionInputs - Inputs returned by loadActionInputs()
+ * @returns {Object} The parseArgs() option definitions
+ */
+function buildOptions(actionInputs) {
+    const options = {
+        'inputs-file': { type: 'string' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' }
+    };
+    for (const [name, input] of Object.entries(actionInputs)) {
+        if (input.boolean) {
+            options[name] = { type: 'boolean' };
+            options[`no-${name}`] = { type: 'boolean' };
+        } else {
+            options[name] = { type: 'string', multiple: MULTI_VALUE_INPUTS.includes(name) };
+        }
+    }
+    for (const [alias, name] of Object.entries(OPTION_ALIASES)) {
+        options[alias] = { ...options[name] };
+    }
+    return options;
+}
+
+/**
+ * Returns the usage text listing every option.
+ *
+ * @param {Object} actionInputs - Inputs returned by loadActionInputs()
+ * @returns {string} The usage text
+ */
+function getUsage(actionInputs) {
+    const aliases = Object.fromEntries(Object.entries(OPTION_ALIASES).map(([alias, name]) => [name, alias]));
+    const lines = [
+        'Usage: release-sync publish [options]',
+        '',
+        'Synchronizes a release to GitHub, Gitee, GitLab and Gitea, like the Release Sync GitHub Action.',
+        '',
+        'Every option can also be set as an environment variable (e.g., --gitee-token as',
+        `${getEnvName('gitee-token')}) or as a key of the --inputs-file. Inputs of custom platform`,
+        `adapters ("<name>-<key>") are set the same way (e.g., ${getEnvName('mycorp-token')}).`,
+        '',
+        'Options:',
+        '  --inputs-file <file>  YAML/JSON file with input values (keys are the option names)',
+        '  -v, --verbose         Print debug messages',
+        '  -h, --help            Show this help'
+    ];
+    for (const [name, input] of Object.entries(actionInputs)) {
+        const option = input.boolean ? `--[no-]${name}` : `--${name}${aliases[name] ? `, --${aliases[name]}` : ''} <value>`;
+        const defaultValue = input.default !== undefined && input.default !== '' ? ` (default: ${input.default})` : '';
+        lines.push(`  ${option}`, `      ${input.description}${defaultValue}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates the input reader of a run from the parsed options, the environment, the inputs file and
+ * the action defaults.
+ *
+ * Outside of GitHub Actions the expression defaults of action.yml are replaced: github-token
+ * defaults to the GITHUB_TOKEN environment variable and release-name to the tag. Inputs that
+ * action.yml does not declare (those of custom platform adapters) are read from the environment
+ * and the inputs file.
+ *
+ * @param {Object} parsedValues - Values returned by parseArgs()
+ * @param {Object} actionInputs - Inputs returned by loadActionInputs()
+ * @param {Object} env - Environment variables
+ * @returns {Function} Function mapping an input name to its trimmed (possibly empty) value
+ * @throws {Error} Throws if the inputs file cannot be used
+ */
+function createCliInputReader(parsedValues, actionInputs, env) {
+    const fileValues = parsedValues['inputs-file'] ? loadInputsFile(parsedValues['inputs-file'], actionInputs) : {};
+
+    const optionValue = name => {
+        const value = parsedValues[name] ?? parsedValues[Object.keys(OPTION_ALIASES).find(alias => OPTION_ALIASES[alias] === name)];
+        if (actionInputs[name].boolean) {
+            if (parsedValues[`no-${name}`]) {
+                return 'false';
+            }
+            return value ? 'true' : undefined;
+        }
+        return Array.isArray(value) ? value.join('\n') : value;
+    };
+
+    const values = {};
+    for (const [name, input] of Object.entries(actionInputs)) {
+        values[name] = optionValue(name) ?? env[getEnvName(name)] ?? fileValues[name] ?? input.default ?? '';
+    }
+    values['github-token'] = values['github-token'] || env.GITHUB_TOKEN || '';
+    values['release-name'] = values['release-name'] || values.tag;
+
+    return name => (values[name] ?? env[getEnvName(name)] ?? fileValues[name] ?? '').trim();
+}
+
+/**
+ * Replaces the logging of @actions/core, which prints GitHub Actions workflow commands (e.g.,
+ * "::warning::"), with plain console output for other CI systems and terminals. The modules shared
+ * with the action keep logging through @actions/core.
+ *
+ * @param {Object} [options] - Logging options
+ * @param {boolean} [options.verbose=false] - Print debug messages
+ */
+function useConsoleLogger({ verbose = false } = {}) {
+    // Failures are usually logged with core.error() right before core.setFailed(), so each is printed once
+    const printedErrors = new Set();
+    const toText = message => (message instanceof Error ? message.toString() : String(message));
+
+    core.debug = message => {
+        if (verbose) {
+            console.log(`[debug] ${message}`);
+        }
+    };
+    core.warning = message => console.warn(`Warning: ${toText(message)}`);
+    core.error = message => {
+        printedErrors.add(toText(message));
+        console.error(`Error: ${toText(message)}`);
+    };
+    core.setFailed = message => {
+        process.exitCode = 1;
+        if (!printedErrors.has(toText(message))) {
+            core.error(message);
+        }
+    };
+    // There is no log to mask outside of GitHub Actions
+    core.setSecret = () => {};
+}
+
+/**
+ * Runs the command line interface.
+ *
+ * @async
+ * @param {string[]} args - Command line arguments (without the node executable and script)
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if the synchronization failed and 2 for invalid usage
+ */
+async function main(args, env = process.env) {
+    const actionInputs = loadActionInputs();
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: buildOptions(actionInputs), allowPositionals: true, strict: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\nRun "release-sync --help" for the available options.\n`);
+        return 2;
+    }
+
+    if (parsed.values.help) {
+        process.stdout.write(getUsage(actionInputs));
+        return 0;
+    }
+    const [command, ...extraArgs] = parsed.positionals;
+    if (!COMMANDS.includes(command) || extraArgs.length > 0) {
+        process.stderr.write(`${command ? `Unknown command: ${[command, ...extraArgs].join(' ')}` : 'No command given'}. Supported commands: ${COMMANDS.join(', ')}\n`);
+        process.stderr.write(`Run "release-sync --help" for the available options.\n`);
+        return 2;
+    }
+
+    let getInput;
+    try {
+        getInput = createCliInputReader(parsed.values, actionInputs, env);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    useConsoleLogger({ verbose: parsed.values.verbose });
+    const outputs = {};
+    core.info('Initiating Release Sync command line workflow...');
+    await run({
+        getInput,
+        setOutput: (name, value) => {
+            outputs[name] = value;
+        }
+    });
+
+    for (const [name, value] of Object.entries(outputs)) {
+        core.info(`Output ${name}=${value}`);
+    }
+    return process.exitCode || 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    });
+}
+
+module.exports = {
+    main
+};
@@ -0,0 +1,369 @@
+const core = require('@actions/core');
+const path = require('path');
+const { getFileInfo } = require('../utils/fileHandler');
+const { resolveAssetConflict } = require('../utils/assetConflict');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { verifyUploadedAssets } = require('../utils/checksum');
+const { planReleaseAssets } = require('../utils/plan');
+
+/**
+ * Publishes a release through a platform adapter.
+ *
+ * The driver owns everything that is the same on every platform: release mode handling,
+ * asset conflict resolution, concurrent uploads, post-upload verification and dry-run plans.
+ * The adapter only translates the individual operations into API calls (see README,
+ * "Custom Platform Adapters", for the contract).
+ *
+ * @async
+ * @function publishRelease
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} config - Platform configuration returned by adapter.readConfig()
+ * @param {Object} options - Release options
+ * @param {string} options.tag - The git tag name to associate with the release (e.g., "v1.0.0")
+ * @param {string} options.releaseName - Human-readable display name for the release
+ * @param {string} options.body - Markdown-formatted release notes
+ * @param {boolean} options.draft - Whether the release should be a draft
+ * @param {boolean} options.prerelease - Whether the release should be marked as a pre-release
+ * @param {string} [options.releaseMode='create'] - How to treat an existing release for the tag: "create", "update", "upsert" or "skip-if-exists"
+ * @param {string} [options.assetConflict='replace'] - Policy for assets whose name already exists on the release: "replace", "skip", "fail" or "rename"
+ * @param {string} [options.assetCompare='name'] - How existing assets are compared with local files: "name", "size" or "digest"
+ * @param {string[]} [options.assetFiles] - Array of file paths to upload as release assets
+ * @param {Object} [options.assetNames] - Map of file path to the asset name on the release (defaults to the file name)
+ * @param {number} [options.concurrency=1] - Maximum number of assets uploaded at the same time
+ * @param {string} [options.verifyAssets='none'] - Post-upload verification of the uploaded assets: "none", "size" or "digest"
+ * @param {boolean} [options.dryRun=false] - Only log the planned changes without making any mutating call
+ * @param {Object} [options.journal] - Recorder of the mutations, so they can be rolled back (see utils/journal.js)
+ * @param {string} [options.tagCommit] - Commit SHA the tag is expected to point to (checked when the adapter implements getTagCommit)
+ * @param {string} [options.tagMismatch='fail'] - How an existing tag pointing to another commit is handled: "fail" or "warn"
+ * @returns {Promise<Object>} Promise resolving to { id, url, release, assets }, where release is the normalized
+ *   release and assets lists the outcome of each asset ({ file, name, action, status, url, size, duration, error })
+ * @throws {Error} Throws an error if a release operation fails; failed asset uploads are reported in the result instead
+ */
+async function publishRelease(adapter, config, {
+    tag,
+    releaseName,
+    body,
+    draft,
+    prerelease,
+    releaseMode = 'create',
+    assetConflict = 'replace',
+    assetCompare = 'name',
+    assetFiles = [],
+    assetNames = {},
+    concurrency = 1,
+    verifyAssets = 'none',
+    dryRun = false,
+    journal = null,
+    tagCommit = null,
+    tagMismatch = 'fail'
+}) {
+    const label = adapter.displayName || adapter.name;
+
+    try {
+        core.info(`Preparing to publish ${label} release with the following configuration:`);
+        core.info(`  - Tag Name: ${tag}`);
+        core.info(`  - Release Name: ${releaseName}`);
+        core.info(`  - Release Mode: ${releaseMode}`);
+        core.info(`  - Draft Status: ${draft ? 'Enabled' : 'Disabled'}`);
+        core.info(`  - Prerelease Status: ${prerelease ? 'Enabled' : 'Disabled'}`);
+        core.info(`  - Number of Assets to Upload: ${assetFiles.length}`);
+
+        // In dry-run mode, only report what would change without making any mutating call
+        if (dryRun) {
+            return await planRelease(adapter, config, {
+                tag,
+                releaseName,
+                body,
+                draft,
+                prerelease,
+                releaseMode,
+                assetConflict,
+                assetCompare,
+                assetFiles,
+                assetNames,
+                tagCommit,
+                tagMismatch
+            });
+        }
+
+        // Look up an existing release for the tag unless the caller always wants a new one
+        let existingRelease = null;
+        if (releaseMode !== 'create') {
+            core.info(`Looking up existing ${label} release for tag: ${tag}`);
+            existingRelease = await adapter.getRelease(config, tag);
+            core.info(existingRelease
+                ? `Found existing ${label} release - ID: ${existingRelease.id}, URL: ${existingRelease.url}`
+                : `No existing ${label} release found for tag: ${tag}`);
+        }
+
+        if (existingRelease && releaseMode === 'skip-if-exists') {
+            core.info(`Release mode is 'skip-if-exists' - Leaving existing ${label} release untouched and skipping asset upload`);
+            const existingAssets = await adapter.listAssets(config, existingRelease);
+            return {
+                id: existingRelease.id,
+                url: existingRelease.url,
+                release: existingRelease,
+                assets: existingAssets.map(asset => ({ file: null, name: asset.name, action: 'existing', status: 'skipped', url: asset.url, size: asset.size, duration: 0 }))
+            };
+        }
+
+        if (!existingRelease && releaseMode === 'update') {
+            throw new Error(`No existing ${label} release found for tag "${tag}", but release mode 'update' requires one`);
+        }
+
+        // An existing tag must point to the commit being released
+        await checkTagCommit(adapter, config, { tag, tagCommit, tagMismatch });
+
+        // A missing tag is created together with the release, so a rollback may have to delete it
+        if (journal && !existingRelease && adapter.tagExists && !(await adapter.tagExists(config, tag))) {
+            journal.record({ type: 'tag', tag });
+        }
+
+        // Create the release, or update the metadata of the existing one in place
+        core.info(`Initiating ${label} release ${existingRelease ? 'update' : 'creation'} for tag: ${tag}`);
+        const release = await adapter.createOrUpdateRelease(config, {
+            existingRelease,
+            tag,
+            releaseName,
+            body,
+            draft,
+            prerelease
+        });
+        core.info(`Successfully ${existingRelease ? 'updated' : 'created'} ${label} release - ID: ${release.id}, URL: ${release.url}`);
+        if (journal) {
+            journal.record(existingRelease
+                ? { type: 'release-update', release, previous: existingRelease }
+                : { type: 'release', release });
+        }
+
+        // Process and upload all specified release assets if the asset list is not empty
+        let assetResults = [];
+        if (assetFiles.length > 0) {
+            core.info(`Starting processing of ${assetFiles.length} release asset(s) - Conflict Policy: ${assetConflict}, Compare Mode: ${assetCompare}, Concurrency: ${concurrency}`);
+
+            // List the assets already attached to the release so that name conflicts can be resolved
+            const existingAssets = existingRelease
+                ? await adapter.listAssets(config, release)
+                : [];
+            // Local names are claimed up front, so a renamed asset never takes the name of a later local file
+            const takenNames = new Set([
+                ...existingAssets.map(asset => asset.name),
+                ...assetFiles.map(filePath => assetNames[filePath] || path.basename(filePath))
+            ]);
+            core.info(`Found ${existingAssets.length} existing asset(s) on the ${label} release`);
+
+            // Track what was done with each asset for the final report
+            const assetCounts = { upload: 0, replace: 0, rename: 0, skip: 0, failed: 0 };
+
+            assetResults = await mapWithConcurrency(assetFiles, concurrency, async (filePath, index) => {
+                core.info(`Processing asset ${index + 1}/${assetFiles.length}: ${filePath}`);
+                const startedAt = Date.now();
+
+                // Retrieve file metadata (the content is streamed during upload)
+                const fileInfo = await getFileInfo(filePath, assetNames[filePath]);
+                if (!fileInfo) {
+                    core.warning(`Skipping asset ${filePath} - Failed to retrieve valid file information`);
+                    return { file: filePath, name: null, action: 'invalid', status: 'skipped', size: null, duration: Date.now() - startedAt };
+                }
+
+                // Decide whether the asset is uploaded, replaced, renamed or skipped ('fail' conflicts abort the process)
+                const decision = await resolveAssetConflict({
+                    fileInfo,
+                    existingAssets,
+                    takenNames,
+                    policy: assetConflict,
+                    compare: assetCompare
+                });
+
+                if (decision.action === 'skip') {
+                    assetCounts.skip++;
+                    core.info(`Skipping asset ${fileInfo.name} - ${decision.reason}`);
+                    return { file: filePath, name: fileInfo.name, action: decision.action, status: 'skipped', url: decision.existing.url, size: fileInfo.size, duration: Date.now() - startedAt };
+                }
+
+                try {
+                    if (decision.action === 'replace') {
+                        core.info(`Deleting existing asset ${decision.existing.name} (ID: ${decision.existing.id}) before re-upload`);
+                        await adapter.deleteAsset(config, release, decision.existing);
+                    }
+
+                    core.info(`Initiating upload of asset: ${decision.uploadName} (Size: ${fileInfo.size} bytes)`);
+                    const uploadedAsset = await adapter.uploadAsset(config, release, fileInfo, decision.uploadName);
+                    if (journal) {
+                        journal.record({ type: 'asset', release, name: decision.uploadName, replaced: decision.action === 'replace' });
+                    }
+
+                    assetCounts[decision.action]++;
+                    core.info(`Successfully uploaded asset ${index + 1}/${assetFiles.length}: ${decision.uploadName} (${decision.reason})`);
+                    return { file: filePath, name: decision.uploadName, action: decision.action, status: 'uploaded', url: uploadedAsset && uploadedAsset.url, size: fileInfo.size, duration: Date.now() - startedAt };
+                } catch (uploadError) {
+                    // Record the failure and continue with the remaining assets; the caller decides whether it fails the step
+                    assetCounts.failed++;
+                    core.error(`Failed to upload asset ${decision.uploadName}: ${uploadError.message}`);
+                    return { file: filePath, name: decision.uploadName, action: decision.action, status: 'failed', error: uploadError.message, size: fileInfo.size, duration: Date.now() - startedAt };
+                }
+            });
+
+            core.info(`Completed processing of all ${assetFiles.length} release asset(s) - Uploaded: ${assetCounts.upload}, Replaced: ${assetCounts.replace}, Renamed: ${assetCounts.rename}, Skipped: ${assetCounts.skip}, Failed: ${assetCounts.failed}`);
+
+            // Confirm that the uploaded assets are identical to the local files
+            if (verifyAssets !== 'none') {
+                await verifyUploadedAssets({
+                    platform: label,
+                    assetResults,
+                    remoteAssets: await adapter.listAssets(config, release),
+                    mode: verifyAssets,
+                    downloadOptions: adapter.getDownloadOptions ? adapter.getDownloadOptions(config) : {}
+                });
+            }
+        } else {
+            core.info(`No release assets specified - Skipping asset upload step`);
+        }
+
+        core.info(`${label} release publishing process completed successfully`);
+        return {
+            id: release.id,
+            url: release.url,
+            release,
+            assets: assetResults
+        };
+    } catch (error) {
+        core.error(`${label} release publication failed: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Checks that an existing tag points to the commit being released (e.g., that the Gitee tag was
+ * not created from a branch that has moved on since). Nothing is checked if the expected commit is
+ * unknown, the adapter cannot resolve tags or the tag does not exist yet.
+ *
+ * @async
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} config - Platform configuration
+ * @param {Object} options - Check options
+ * @param {string} options.tag - Tag name
+ * @param {string|null} options.tagCommit - Expected commit SHA
+ * @param {string} options.tagMismatch - "fail" to throw on a mismatch, "warn" to only log a warning
+ * @param {string} [options.prefix=''] - Prefix of the log messages (e.g., "[PLAN] ")
+ * @throws {Error} Throws if the tag points to another commit and tagMismatch is "fail"
+ */
+async function checkTagCommit(adapter, config, { tag, tagCommit, tagMismatch, prefix = '' }) {
+    if (!tagCommit || typeof adapter.getTagCommit !== 'function') {
+        return;
+    }
+
+    const label = adapter.displayName || adapter.name;
+    const actualCommit = await adapter.getTagCommit(config, tag);
+    if (!actualCommit) {
+        return;
+    }
+    if (actualCommit.toLowerCase() === tagCommit.toLowerCase()) {
+        core.info(`${prefix}${label} tag "${tag}" points to the expected commit ${tagCommit}`);
+        return;
+    }
+
+    const message = `${label} tag "${tag}" points to commit ${actualCommit}, but the release is for commit ${tagCommit}`;
+    if (tagMismatch === 'fail') {
+        throw new Error(`${message}. Move the tag to the right commit, or set 'tag-mismatch' to warn to publish anyway.`);
+    }
+    core.warning(`${prefix}${message} - Publishing anyway because 'tag-mismatch' is warn`);
+}
+
+/**
+ * Builds the dry-run plan for a release.
+ *
+ * Checks repository access (when the adapter implements checkAccess), looks up the tag, release
+ * and existing assets, and logs every change a real run would make as "[PLAN]" lines. Only the
+ * read operations of the adapter are called.
+ *
+ * @async
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} config - Platform configuration
+ * @param {Object} options - The release options of publishRelease
+ * @returns {Promise<Object>} { id, url, release, assets } of the existing release (null if it would be created),
+ *   where assets lists the planned outcome of each asset ({ file, name, action, status, size, reason, error })
+ * @throws {Error} Throws if the repository is not writable, the tag points to another commit or the release mode cannot be satisfied
+ */
+async function planRelease(adapter, config, {
+    tag,
+    releaseName,
+    body,
+    draft,
+    prerelease,
+    releaseMode,
+    assetConflict,
+    assetCompare,
+    assetFiles,
+    assetNames,
+    tagCommit,
+    tagMismatch
+}) {
+    const label = adapter.displayName || adapter.name;
+
+    let access = null;
+    if (adapter.checkAccess) {
+        core.info(`[PLAN] Dry run enabled - Checking access to the ${label} repository`);
+        access = await adapter.checkAccess(config);
+        if (!access.canWrite) {
+            throw new Error(`The ${label} token has no write access to repository ${access.fullName}`);
+        }
+        core.info(`[PLAN] ${label} repository ${access.fullName} is accessible (default branch: ${access.defaultBranch || 'unknown'})`);
+    }
+
+    const existingRelease = await adapter.getRelease(config, tag);
+    if (existingRelease && releaseMode === 'create') {
+        throw new Error(`A ${label} release already exists for tag "${tag}" (ID: ${existingRelease.id}), so release mode 'create' would fail`);
+    }
+    if (!existingRelease && releaseMode === 'update') {
+        throw new Error(`No existing ${label} release found for tag "${tag}", but release mode 'update' requires one`);
+    }
+
+    if (existingRelease && releaseMode === 'skip-if-exists') {
+        core.info(`[PLAN] Keep existing ${label} release ${existingRelease.id} untouched and upload no assets (release mode: skip-if-exists)`);
+        const existingAssets = await adapter.listAssets(config, existingRelease);
+        return {
+            id: existingRelease.id,
+            url: existingRelease.url,
+            release: existingRelease,
+            assets: existingAssets.map(asset => ({ file: null, name: asset.name, action: 'existing', status: 'skipped', url: asset.url, size: asset.size }))
+        };
+    }
+
+    // An existing tag must point to the commit being released
+    await checkTagCommit(adapter, config, { tag, tagCommit, tagMismatch, prefix: '[PLAN] ' });
+
+    if (existingRelease) {
+        // Only fields the platform reports are compared (e.g., Gitee has no draft flag)
+        const changes = [
+            existingRelease.name !== releaseName && `name "${existingRelease.name}" -> "${releaseName}"`,
+            typeof existingRelease.body === 'string' && existingRelease.body !== body && 'body',
+            typeof existingRelease.draft === 'boolean' && existingRelease.draft !== draft && `draft ${existingRelease.draft} -> ${draft}`,
+            typeof existingRelease.prerelease === 'boolean' && existingRelease.prerelease !== prerelease && `prerelease ${existingRelease.prerelease} -> ${prerelease}`
+        ].filter(Boolean);
+        core.info(`[PLAN] Update ${label} release ${existingRelease.id} (${existingRelease.url}) - Changes: ${changes.join(', ') || 'none'}`);
+    } else {
+        if (adapter.tagExists && !(await adapter.tagExists(config, tag))) {
+            const target = config.targetCommitish || (access && access.defaultBranch ? `default branch ${access.defaultBranch}` : 'the default branch');
+            core.info(`[PLAN] Create tag "${tag}" from ${target}`);
+        }
+        core.info(`[PLAN] Create ${label} release "${releaseName}" for tag "${tag}" (draft: ${draft}, prerelease: ${prerelease})`);
+    }
+
+    const existingAssets = existingRelease
+        ? await adapter.listAssets(config, existingRelease)
+        : [];
+    const plannedAssets = await planReleaseAssets({ assetFiles, assetNames, existingAssets, policy: assetConflict, compare: assetCompare });
+    for (const asset of plannedAssets) {
+        core.info(`[PLAN] ${asset.action.toUpperCase()} asset ${asset.name || asset.file} - ${asset.reason}`);
+    }
+
+    return {
+        id: existingRelease ? existingRelease.id : null,
+        url: existingRelease ? existingRelease.url : null,
+        release: existingRelease,
+        assets: plannedAssets
+    };
+}
+
+module.exports = { publishRelease };
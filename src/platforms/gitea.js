@@ -0,0 +1,437 @@
+const core = require('@actions/core');
+const axios = require('axios');
+const FormData = require('form-data');
+const { createUploadStream } = require('../utils/fileHandler');
+const { withRetry, isIdempotentMethod } = require('../utils/retry');
+
+/**
+ * Gitea/Forgejo platform adapter (e.g., a self-hosted Gitea or Codeberg).
+ *
+ * Gitea creates a missing tag from the target commitish when the release is created, so no
+ * separate tag request is needed. Drafts and pre-releases are supported natively. See
+ * src/platforms/driver.js for how the operations are combined.
+ */
+
+/**
+ * Reads the Gitea configuration from the "gitea-*" action inputs.
+ *
+ * @param {Function} getInput - Returns the value of the "gitea-<key>" input for a key
+ * @returns {Object} Configuration ({ token, url, owner, repo, targetCommitish })
+ */
+function readConfig(getInput) {
+    return {
+        token: getInput('token'),
+        url: getInput('url'),
+        owner: getInput('owner'),
+        repo: getInput('repo'),
+        targetCommitish: getInput('target-commitish')
+    };
+}
+
+/**
+ * Checks that the configuration contains everything needed to publish a release.
+ *
+ * @param {Object} config - Configuration returned by readConfig()
+ * @returns {string[]} Descriptions of the problems found (empty if the configuration is valid)
+ */
+function validateConfig(config) {
+    const missing = [
+        !config.token && 'gitea-token',
+        !config.url && 'gitea-url',
+        !config.owner && 'gitea-owner',
+        !config.repo && 'gitea-repo'
+    ].filter(Boolean);
+    return missing.length > 0
+        ? [`Required input parameter(s) are missing: ${missing.map(name => `'${name}'`).join(', ')}`]
+        : [];
+}
+
+/**
+ * Creates the API client for a configuration.
+ *
+ * @param {Object} config - Gitea configuration
+ * @returns {Object} Gitea API client (see createGiteaClient)
+ */
+function getClient(config) {
+    return createGiteaClient(config.url, config.token, config.owner, config.repo);
+}
+
+/**
+ * Converts Gitea release data into the normalized release used by the driver.
+ *
+ * @param {Object} data - Gitea release data
+ * @returns {Object} Normalized release ({ id, tag, name, body, draft, prerelease, url, createdAt, data })
+ */
+function normalizeRelease(data) {
+    return {
+        id: data.id,
+        tag: data.tag_name,
+        name: data.name,
+        body: data.body || '',
+        draft: Boolean(data.draft),
+        prerelease: Boolean(data.prerelease),
+        url: data.html_url,
+        createdAt: data.created_at || null,
+        data
+    };
+}
+
+/**
+ * Checks that the token can access and push to the repository.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @returns {Promise<{fullName: string, defaultBranch: string, canWrite: boolean}>} Repository access information
+ */
+async function checkAccess(config) {
+    const { data: repository } = await getClient(config).request({ method: 'get', url: '' }, `Gitea repository lookup for ${config.owner}/${config.repo}`);
+
+    return {
+        fullName: repository.full_name || `${config.owner}/${config.repo}`,
+        defaultBranch: repository.default_branch,
+        canWrite: !repository.permissions || Boolean(repository.permissions.push)
+    };
+}
+
+/**
+ * Retrieves the release associated with a tag, including draft releases.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The normalized release, or null if the tag has no release
+ */
+async function getRelease(config, tag) {
+    const release = await findGiteaReleaseByTag(getClient(config), tag);
+    return release ? normalizeRelease(release) : null;
+}
+
+/**
+ * Lists all releases of the repository, including drafts.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @returns {Promise<Object[]>} The normalized releases
+ */
+async function listReleases(config) {
+    const client = getClient(config);
+    const limit = 50;
+    const releases = [];
+
+    for (let page = 1; ; page++) {
+        const { data } = await client.request({ method: 'get', url: '/releases', params: { page, limit } }, `Gitea release listing (page ${page})`);
+        const pageItems = Array.isArray(data) ? data : [];
+        releases.push(...pageItems);
+        if (pageItems.length < limit) {
+            return releases.map(normalizeRelease);
+        }
+    }
+}
+
+/**
+ * Deletes a release together with its attachments. The tag is kept.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {Object} release - Normalized release to delete
+ */
+async function deleteRelease(config, release) {
+    await getClient(config).request({ method: 'delete', url: `/releases/${release.id}` }, `Gitea release deletion for tag "${release.tag}"`);
+}
+
+/**
+ * Deletes a tag from the repository.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {string} tag - Tag name to delete
+ */
+async function deleteTag(config, tag) {
+    await getClient(config).request({ method: 'delete', url: `/tags/${encodeURIComponent(tag)}` }, `Gitea tag deletion for "${tag}"`);
+}
+
+/**
+ * Checks whether a tag exists in the repository.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {string} tag - Tag name to check
+ * @returns {Promise<boolean>} True if the tag exists
+ */
+async function tagExists(config, tag) {
+    return giteaTagExists(getClient(config), tag);
+}
+
+/**
+ * Creates a release for the tag, or updates the existing release in place.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {Object} options - Release metadata
+ * @param {Object|null} options.existingRelease - Normalized existing release to update, or null to create one
+ * @param {string} options.tag - Tag name of the release
+ * @param {string} options.releaseName - Display name of the release
+ * @param {string} options.body - Release notes (Markdown)
+ * @param {boolean} options.draft - Whether the release should be a draft
+ * @param {boolean} options.prerelease - Whether the release should be marked as a pre-release
+ * @returns {Promise<Object>} The normalized created or updated release
+ */
+async function createOrUpdateRelease(config, { existingRelease, tag, releaseName, body, draft, prerelease }) {
+    const client = getClient(config);
+    core.info(`Gitea instance: ${client.instanceUrl}, Repository: ${config.owner}/${config.repo}`);
+
+    if (existingRelease) {
+        const response = await client.request({
+            method: 'patch',
+            url: `/releases/${existingRelease.id}`,
+            data: { tag_name: tag, name: releaseName, body, draft, prerelease }
+        }, `Gitea release update for tag "${tag}"`);
+        return normalizeRelease(response.data);
+    }
+
+    if (config.targetCommitish) {
+        core.info(`Target for a missing Gitea tag: ${config.targetCommitish}`);
+    }
+    const response = await client.request({
+        method: 'post',
+        url: '/releases',
+        data: {
+            tag_name: tag,
+            name: releaseName,
+            body,
+            draft,
+            prerelease,
+            ...(config.targetCommitish ? { target_commitish: config.targetCommitish } : {})
+        }
+    }, `Gitea release creation for tag "${tag}"`);
+    return normalizeRelease(response.data);
+}
+
+/**
+ * Lists all assets attached to a release in the normalized form used by the driver.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {Object} release - Normalized release
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects (Gitea reports no digest)
+ */
+async function listAssets(config, release) {
+    return listGiteaReleaseAssets(getClient(config), release.id);
+}
+
+/**
+ * Streams a local file to a release as a new attachment.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - Name of the asset on the release
+ * @returns {Promise<{url: string}>} The download URL of the uploaded asset
+ */
+async function uploadAsset(config, release, fileInfo, name) {
+    const attachment = await uploadGiteaReleaseAsset(getClient(config), release.id, fileInfo, name);
+    return { url: attachment.browser_download_url };
+}
+
+/**
+ * Deletes an asset from a release.
+ *
+ * @async
+ * @param {Object} config - Gitea configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} asset - Normalized asset to delete
+ */
+async function deleteAsset(config, release, asset) {
+    await getClient(config).request({
+        method: 'delete',
+        url: `/releases/${release.id}/assets/${asset.id}`
+    }, `Gitea asset deletion for "${asset.name}"`);
+}
+
+/**
+ * Returns the request options needed to download assets (e.g., for verification).
+ *
+ * @param {Object} config - Gitea configuration
+ * @returns {Object} Request options ({ headers })
+ */
+function getDownloadOptions(config) {
+    return { headers: getClient(config).authHeaders };
+}
+
+/**
+ * Returns the download URL an asset of the release has, without any API request.
+ *
+ * @param {Object} config - Gitea configuration
+ * @param {string} tag - Tag of the release
+ * @param {string} name - Name of the asset on the release
+ * @returns {string} The download URL
+ */
+function getAssetDownloadUrl(config, tag, name) {
+    return `${getClient(config).instanceUrl}/${config.owner}/${config.repo}/releases/download/${encodeURIComponent(tag)}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Creates a small client for the repository endpoints of the Gitea API (v1). Every request
+ * is authenticated with the access token and goes through the shared retry layer.
+ *
+ * @param {string} url - Base URL of the Gitea/Forgejo instance
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {{instanceUrl: string, baseUrl: string, authHeaders: Object, request: Function}} The client,
+ *   where request(config, description) sends an axios request relative to the repository endpoint
+ */
+function createGiteaClient(url, token, owner, repo) {
+    const instanceUrl = url.replace(/\/+$/, '');
+    const baseUrl = `${instanceUrl}/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    const authHeaders = { 'Authorization': `token ${token}` };
+
+    const request = (config, description) => withRetry(() => axios.request({
+        timeout: 30000,
+        ...config,
+        url: `${baseUrl}${config.url}`,
+        headers: {
+            ...authHeaders,
+            'User-Agent': 'Release Sync',
+            'Accept': 'application/json',
+            ...config.headers
+        }
+    }), description, { idempotent: isIdempotentMethod(config.method) });
+
+    return { instanceUrl, baseUrl, authHeaders, request };
+}
+
+/**
+ * Streams a local file to a Gitea release as a new attachment.
+ *
+ * @async
+ * @param {Object} client - Gitea API client
+ * @param {number} releaseId - ID of the release
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - Name of the asset on the release
+ * @returns {Promise<Object>} The created attachment data
+ */
+async function uploadGiteaReleaseAsset(client, releaseId, fileInfo, name) {
+    // The form data and file stream cannot be resent, so they are rebuilt for every attempt
+    const response = await withRetry(() => {
+        const formData = new FormData();
+        formData.append('attachment', createUploadStream(fileInfo, name), {
+            filename: name,
+            knownLength: fileInfo.size
+        });
+
+        return axios.post(`${client.baseUrl}/releases/${releaseId}/assets`, formData, {
+            params: { name },
+            headers: {
+                ...formData.getHeaders(),
+                ...client.authHeaders,
+                'Content-Length': formData.getLengthSync(),
+                'User-Agent': 'Release Sync',
+                'Accept': 'application/json'
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 300000
+        });
+    }, `Gitea asset upload for "${name}"`, { idempotent: false });
+
+    return response.data;
+}
+
+/**
+ * Finds the release associated with a tag, including draft releases.
+ *
+ * The release-by-tag endpoint does not return drafts on every Gitea version, so a 404 from
+ * it falls back to scanning the release list.
+ *
+ * @async
+ * @param {Object} client - Gitea API client
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The release data, or null if the tag has no release
+ */
+async function findGiteaReleaseByTag(client, tag) {
+    try {
+        const { data } = await client.request({ method: 'get', url: `/releases/tags/${encodeURIComponent(tag)}` }, `Gitea release lookup for tag "${tag}"`);
+        return data;
+    } catch (error) {
+        if (!error.response || error.response.status !== 404) {
+            throw error;
+        }
+    }
+
+    core.debug(`Tag lookup returned 404 for "${tag}", scanning release list for a matching draft release`);
+    const limit = 50;
+    for (let page = 1; ; page++) {
+        const { data } = await client.request({ method: 'get', url: '/releases', params: { page, limit } }, `Gitea release listing (page ${page})`);
+        const releases = Array.isArray(data) ? data : [];
+        const release = releases.find(candidate => candidate.tag_name === tag);
+        if (release) {
+            return release;
+        }
+        if (releases.length < limit) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Checks whether a tag exists in the Gitea repository.
+ *
+ * @async
+ * @param {Object} client - Gitea API client
+ * @param {string} tag - Tag name to check
+ * @returns {Promise<boolean>} True if the tag exists
+ */
+async function giteaTagExists(client, tag) {
+    try {
+        await client.request({ method: 'get', url: `/tags/${encodeURIComponent(tag)}` }, `Gitea tag lookup for "${tag}"`);
+        return true;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lists all assets attached to a Gitea release in the normalized form used for conflict resolution.
+ *
+ * @async
+ * @param {Object} client - Gitea API client
+ * @param {number} releaseId - ID of the release
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects (Gitea reports no digest)
+ */
+async function listGiteaReleaseAssets(client, releaseId) {
+    const { data } = await client.request({ method: 'get', url: `/releases/${releaseId}/assets` }, `Gitea asset listing for release ${releaseId}`);
+
+    return (Array.isArray(data) ? data : []).map(asset => ({
+        id: asset.id,
+        name: asset.name,
+        size: asset.size,
+        digest: null,
+        url: asset.browser_download_url,
+        downloadUrl: asset.browser_download_url
+    }));
+}
+
+module.exports = {
+    name: 'gitea',
+    displayName: 'Gitea',
+    supportsDrafts: true,
+    readConfig,
+    validateConfig,
+    checkAccess,
+    getRelease,
+    tagExists,
+    createOrUpdateRelease,
+    listAssets,
+    uploadAsset,
+    deleteAsset,
+    getDownloadOptions,
+    getAssetDownloadUrl,
+    listReleases,
+    deleteRelease,
+    deleteTag
+};
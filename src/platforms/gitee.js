@@ -1,97 +1,452 @@
 const axios = require('axios');
 const FormData = require('form-data');
-const { getFileInfo } = require('../utils/fileHandler');
-
-/**
- * Publishes a new release on Gitee with optional asset file attachments.
- * 
- * This function performs the following steps in sequence:
- * 1. Checks if the specified tag exists; creates it if not found (404 error).
- * 2. Creates a new release associated with the target tag.
- * 3. Retrieves the newly created release ID (required for asset uploads).
- * 4. Uploads all specified asset files to the release (if assetFiles is provided and non-empty).
- * 
- * @async
- * @function publishGiteeRelease
- * @param {Object} options - Configuration options for publishing the Gitee release
- * @param {string} options.token - Gitee personal access token for API authentication
- * @param {string} options.owner - Gitee repository owner (username or organization name)
- * @param {string} options.repo - Gitee repository name (without the owner prefix)
- * @param {string} options.tag - Tag name associated with the release (e.g., "v1.0.0")
- * @param {string} options.releaseName - Display name/title of the release
+const { createUploadStream } = require('../utils/fileHandler');
+const { withRetry } = require('../utils/retry');
+const { getLocalTagCommit, hasLocalCommit, resolveLocalRef, listRemoteRefs, pushRefs } = require('../utils/git');
+const { getBooleanInput } = require('../utils/input');
+
+// Number of API checks and the delay between them while waiting for pushed commits to show up on Gitee
+const COMMIT_CHECK_ATTEMPTS = 5;
+const COMMIT_CHECK_DELAY_MS = 3000;
+
+/**
+ * Gitee platform adapter.
+ *
+ * Publishes releases through the Gitee API v5. Gitee cannot create a tag together with a
+ * release, so a missing tag is created from the target commitish first (by default the commit
+ * of the GitHub tag, which the action resolves before publishing). Gitee has no draft
+ * releases. See src/platforms/driver.js for how the operations are combined.
+ */
+
+/**
+ * Reads the Gitee configuration from the "gitee-*" action inputs.
+ *
+ * @param {Function} getInput - Returns the value of the "gitee-<key>" input for a key
+ * @returns {Object} Configuration ({ token, owner, repo, targetCommitish, tagMessage, push, pushBranch, gitUrl, username })
+ * @throws {TypeError} Throws if the "gitee-push" input is not a boolean
+ */
+function readConfig(getInput) {
+    return {
+        token: getInput('token'),
+        owner: getInput('owner'),
+        repo: getInput('repo'),
+        targetCommitish: getInput('target-commitish'),
+        tagMessage: getInput('tag-message'),
+        push: getBooleanInput(getInput, 'push'),
+        pushBranch: getInput('push-branch'),
+        gitUrl: getInput('git-url'),
+        username: getInput('username')
+    };
+}
+
+/**
+ * Checks that the configuration contains everything needed to publish a release.
+ *
+ * @param {Object} config - Configuration returned by readConfig()
+ * @returns {string[]} Descriptions of the problems found (empty if the configuration is valid)
+ */
+function validateConfig(config) {
+    return config.token && config.owner && config.repo
+        ? []
+        : ['Some required parameters are missing. Please provide valid \'gitee-token\', \'gitee-owner\', and \'gitee-repo\' input parameters.'];
+}
+
+/**
+ * Returns the base URL for the repository API endpoints.
+ *
+ * @param {Object} config - Gitee configuration
+ * @returns {string} The repository API base URL
+ */
+function getBaseUrl(config) {
+    return `https://gitee.com/api/v5/repos/${config.owner}/${config.repo}`;
+}
+
+/**
+ * Converts Gitee release data into the normalized release used by the driver.
+ * Gitee's API returns no HTML URL, so the web page of the release is built from the tag.
+ *
+ * @param {Object} config - Gitee configuration
+ * @param {Object} data - Gitee release data
+ * @returns {Object} Normalized release ({ id, tag, name, body, prerelease, url, createdAt, data })
+ */
+function normalizeRelease(config, data) {
+    return {
+        id: data.id,
+        tag: data.tag_name,
+        name: data.name,
+        body: data.body || '',
+        prerelease: Boolean(data.prerelease),
+        url: `https://gitee.com/${config.owner}/${config.repo}/releases/tag/${encodeURIComponent(data.tag_name)}`,
+        createdAt: data.created_at || null,
+        data
+    };
+}
+
+/**
+ * Checks that the token can access and push to the repository.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @returns {Promise<{fullName: string, defaultBranch: string, canWrite: boolean}>} Repository access information
+ */
+async function checkAccess(config) {
+    const response = await withRetry(() => axios.get(getBaseUrl(config), {
+        params: { access_token: config.token },
+        headers: { 'User-Agent': 'Release Sync' },
+        timeout: 30000
+    }), `Gitee repository lookup for ${config.owner}/${config.repo}`);
+    const repository = response.data || {};
+
+    return {
+        fullName: repository.full_name || `${config.owner}/${config.repo}`,
+        defaultBranch: repository.default_branch,
+        canWrite: !repository.permission || Boolean(repository.permission.push)
+    };
+}
+
+/**
+ * Retrieves the release associated with a tag.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The normalized release, or null if the tag has no release
+ */
+async function getRelease(config, tag) {
+    const release = await getGiteeReleaseByTag(getBaseUrl(config), config.token, tag);
+    return release ? normalizeRelease(config, release) : null;
+}
+
+/**
+ * Lists all releases of the repository.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @returns {Promise<Object[]>} The normalized releases
+ */
+async function listReleases(config) {
+    const perPage = 100;
+    const releases = [];
+
+    for (let page = 1; ; page++) {
+        const response = await withRetry(() => axios.get(`${getBaseUrl(config)}/releases`, {
+            params: { access_token: config.token, page, per_page: perPage },
+            headers: {
+                'User-Agent': 'Release Sync',
+                'Content-Type': 'application/json'
+            },
+            timeout: 30000
+        }), `Gitee release listing (page ${page})`);
+
+        const pageItems = Array.isArray(response.data) ? response.data : [];
+        releases.push(...pageItems);
+        if (pageItems.length < perPage) {
+            break;
+        }
+    }
+
+    return releases.map(release => normalizeRelease(config, release));
+}
+
+/**
+ * Deletes a release together with its attached files. The tag is kept, as the Gitee API v5
+ * cannot delete tags.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} release - Normalized release to delete
+ */
+async function deleteRelease(config, release) {
+    console.log(`[INFO] Deleting release ${release.id} (tag "${release.tag}") from repository ${config.owner}/${config.repo}`);
+    await withRetry(() => axios.delete(`${getBaseUrl(config)}/releases/${release.id}`, {
+        params: { access_token: config.token },
+        headers: {
+            'User-Agent': 'Release Sync'
+        },
+        timeout: 30000
+    }), `Gitee release deletion for tag "${release.tag}"`);
+}
+
+/**
+ * Checks whether a tag exists in the repository.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {string} tag - Tag name to check
+ * @returns {Promise<boolean>} True if the tag exists
+ */
+async function tagExists(config, tag) {
+    try {
+        console.log(`[INFO] Checking if tag "${tag}" already exists in repository ${config.owner}/${config.repo}`);
+        await withRetry(() => axios.get(`${getBaseUrl(config)}/tags/${tag}`, {
+            params: { access_token: config.token },
+            timeout: 30000,
+            headers: {
+                'User-Agent': 'Release Sync'
+            }
+        }), `Gitee tag lookup for "${tag}"`);
+        return true;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return false;
+        }
+        console.error(`[ERROR] Failed to check tag "${tag}": ${error.message || 'Unknown error occurred'}`);
+        throw error;
+    }
+}
+
+/**
+ * Resolves the commit a tag points to.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {string} tag - Tag name to resolve
+ * @returns {Promise<string|null>} The commit SHA, or null if the tag does not exist
+ */
+async function getTagCommit(config, tag) {
+    try {
+        const response = await withRetry(() => axios.get(`${getBaseUrl(config)}/tags/${encodeURIComponent(tag)}`, {
+            params: { access_token: config.token },
+            timeout: 30000,
+            headers: {
+                'User-Agent': 'Release Sync'
+            }
+        }), `Gitee tag lookup for "${tag}"`);
+        return (response.data && response.data.commit && response.data.commit.sha) || null;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checks whether a commit exists in the Gitee repository.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<boolean>} True if the commit exists
+ */
+async function commitExists(config, sha) {
+    try {
+        await withRetry(() => axios.get(`${getBaseUrl(config)}/commits/${sha}`, {
+            params: { access_token: config.token },
+            timeout: 30000,
+            headers: {
+                'User-Agent': 'Release Sync'
+            }
+        }), `Gitee commit lookup for ${sha}`);
+        return true;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Returns the git remote of the Gitee repository: gitee-git-url (by default the HTTPS URL of the
+ * repository) with the credentials for pushing to it.
+ *
+ * @param {Object} config - Gitee configuration
+ * @returns {Object} The remote ({ url, username, token })
+ */
+function getGitRemote(config) {
+    return {
+        url: config.gitUrl || `https://gitee.com/${config.owner}/${config.repo}.git`,
+        username: config.username || config.owner,
+        token: config.token
+    };
+}
+
+/**
+ * Pushes the released commit from the checked-out workspace to the Gitee repository before the
+ * release is published, for Gitee mirrors that are behind the GitHub repository:
+ * - with gitee-push, the tag (the local tag if the workspace has it, otherwise a lightweight tag at the commit)
+ * - with gitee-push-branch, the commit to that branch (fast-forward only)
+ *
+ * The push goes to gitee-git-url (by default the HTTPS URL of the repository) and is
+ * authenticated with gitee-username (default: the owner) and gitee-token. Afterwards the Gitee
+ * API is polled until the commit is visible there.
+ *
+ * With a journal (on-failure: rollback), the refs the push creates or moves are recorded with their
+ * previous values, so restoreGitRef() can undo the push if the synchronization fails.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} options - Push options
+ * @param {string} options.tag - Tag of the release
+ * @param {string|null} options.commit - Commit SHA of the release
+ * @param {boolean} [options.dryRun=false] - Only log the planned push
+ * @param {Object} [options.journal] - Recorder of the pushed refs (see utils/journal.js)
+ * @throws {Error} Throws if the commit is unknown or missing locally, the push fails or the commit does not show up on Gitee
+ */
+async function syncGitRefs(config, { tag, commit, dryRun = false, journal = null }) {
+    if (!config.push && !config.pushBranch) {
+        return;
+    }
+    if (!commit) {
+        throw new Error(`The commit of tag "${tag}" could not be determined, so it cannot be pushed to Gitee`);
+    }
+    if (!(await hasLocalCommit(commit))) {
+        throw new Error(`Commit ${commit} is not available in the workspace. Check out the repository with its history (e.g., actions/checkout with fetch-depth: 0) to push it to Gitee.`);
+    }
+
+    // Each push is a local source and the remote ref it updates
+    const pushes = [];
+    if (config.push) {
+        const localTagCommit = await getLocalTagCommit(tag);
+        if (localTagCommit && localTagCommit !== commit) {
+            throw new Error(`The local tag "${tag}" points to commit ${localTagCommit}, but the release is for commit ${commit}`);
+        }
+        pushes.push({ source: localTagCommit ? `refs/tags/${tag}` : commit, ref: `refs/tags/${tag}` });
+    }
+    if (config.pushBranch) {
+        pushes.push({ source: commit, ref: `refs/heads/${config.pushBranch}` });
+    }
+    const refspecs = pushes.map(({ source, ref }) => `${source}:${ref}`);
+
+    const remote = getGitRemote(config);
+    if (dryRun) {
+        console.log(`[PLAN] Push ${refspecs.join(', ')} to ${remote.url}`);
+        return;
+    }
+
+    // Remember what the refs pointed to before the push, so that a rollback can restore them
+    const previousValues = journal ? await listRemoteRefs({ ...remote, refs: pushes.map(({ ref }) => ref) }) : null;
+
+    console.log(`[INFO] Pushing commit ${commit} to the Gitee repository ${config.owner}/${config.repo}`);
+    await pushRefs({ ...remote, refspecs });
+
+    if (journal) {
+        for (const { source, ref } of pushes) {
+            const value = await resolveLocalRef(source);
+            const previous = previousValues.get(ref) || null;
+            if (value !== previous) {
+                journal.record({ type: 'git-ref', ref, value, previous });
+            }
+        }
+    }
+
+    // Gitee may take a moment to process the pushed objects
+    for (let attempt = 1; ; attempt++) {
+        if (await commitExists(config, commit)) {
+            console.log(`[SUCCESS] Commit ${commit} is present in the Gitee repository`);
+            return;
+        }
+        if (attempt >= COMMIT_CHECK_ATTEMPTS) {
+            throw new Error(`Commit ${commit} was pushed to ${remote.url}, but the Gitee API does not find it in ${config.owner}/${config.repo}. Check that gitee-git-url points to this repository.`);
+        }
+        console.log(`[INFO] Commit ${commit} is not visible on Gitee yet - Checking again in ${COMMIT_CHECK_DELAY_MS / 1000}s (attempt ${attempt}/${COMMIT_CHECK_ATTEMPTS})`);
+        await new Promise(resolve => setTimeout(resolve, COMMIT_CHECK_DELAY_MS));
+    }
+}
+
+/**
+ * Undoes a push of syncGitRefs(): deletes a ref the push created, or resets a ref it moved to its
+ * previous value. The ref is only changed if it still has the pushed value, so commits pushed by
+ * someone else in the meantime are never discarded.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} entry - Journal entry of the push ({ ref, value, previous })
+ * @throws {Error} Throws if the ref was changed since the push or the push fails
+ */
+async function restoreGitRef(config, { ref, value, previous }) {
+    console.log(`[INFO] ${previous ? `Resetting ${ref} to ${previous}` : `Deleting ${ref}`} in the Gitee repository ${config.owner}/${config.repo}`);
+    await pushRefs({
+        ...getGitRemote(config),
+        refspecs: [previous ? `${previous}:${ref}` : `:${ref}`],
+        leases: [`${ref}:${value}`]
+    });
+}
+
+/**
+ * Creates a tag pointing to the target commit/branch. The tag is annotated with the tag message
+ * if one is configured, and lightweight otherwise.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {string} tag - Tag name to create
+ */
+async function createTag(config, tag) {
+    const refs = config.targetCommitish || 'master';
+    console.log(`[INFO] Sending request to create ${config.tagMessage ? 'annotated ' : ''}tag "${tag}" pointing to commit/branch "${refs}"`);
+    await withRetry(() => {
+        const tagData = new FormData();
+        tagData.append('access_token', config.token);
+        tagData.append('tag_name', tag);
+        tagData.append('refs', refs);
+        if (config.tagMessage) {
+            tagData.append('tag_message', config.tagMessage);
+        }
+
+        const tagHeaders = {
+            ...tagData.getHeaders(),
+            'User-Agent': 'Release Sync',
+            'Accept': 'application/json'
+        };
+
+        return axios.post(
+            `${getBaseUrl(config)}/tags`,
+            tagData,
+            {
+                headers: tagHeaders,
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity,
+                timeout: 60000
+            }
+        );
+    }, `Gitee tag creation for "${tag}"`, { idempotent: false });
+    console.log(`[SUCCESS] Tag "${tag}" has been created successfully`);
+}
+
+/**
+ * Creates a release for the tag (creating the tag first if it does not exist), or updates the
+ * existing release in place.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} options - Release metadata
+ * @param {Object|null} options.existingRelease - Normalized existing release to update, or null to create one
+ * @param {string} options.tag - Tag name of the release
+ * @param {string} options.releaseName - Display name of the release
  * @param {string} options.body - Release description/notes (supports Markdown)
+ * @param {boolean} options.draft - Ignored (Gitee has no draft releases); a warning is logged when set
  * @param {boolean} options.prerelease - Flag indicating if the release is a pre-release (beta/alpha)
- * @param {string} options.targetCommitish - Git commit SHA or branch name to associate the tag/release with
- * @param {string[]} [options.assetFiles] - Optional array of file paths to upload as release assets
- * @throws {Error} Throws an error if any step of the release/asset upload process fails (non-404 tag errors, release creation failures, etc.)
- */
-async function publishGiteeRelease({
-    token,
-    owner,
-    repo,
-    tag,
-    releaseName,
-    body,
-    prerelease,
-    targetCommitish,
-    assetFiles
-}) {
-    try {
-        // Base URL for Gitee repository API endpoints
-        const baseUrl = `https://gitee.com/api/v5/repos/${owner}/${repo}`;
-        console.log(`[INFO] Starting Gitee release publication process - Owner: ${owner}, Repo: ${repo}, Tag: ${tag}`);
-
-        // Step 1: Check if the target tag exists; create it if it does not
-        try {
-            console.log(`[INFO] Checking if tag "${tag}" already exists in repository ${owner}/${repo}`);
-            await axios.get(`${baseUrl}/tags/${tag}`, {
-                params: { access_token: token },
-                timeout: 30000,
-                headers: {
-                    'User-Agent': 'Release Sync'
-                }
-            });
+ * @returns {Promise<Object>} The normalized created or updated release
+ * @throws {Error} Throws an error if the tag or release request fails
+ */
+async function createOrUpdateRelease(config, { existingRelease, tag, releaseName, body, draft, prerelease }) {
+    const baseUrl = getBaseUrl(config);
+    console.log(`[INFO] Starting Gitee release publication process - Owner: ${config.owner}, Repo: ${config.repo}, Tag: ${tag}`);
+    if (draft) {
+        console.warn(`[WARN] Gitee does not support draft releases, the release will be published as a regular release`);
+    }
+
+    // Check if the target tag exists; create it if it does not (an existing release implies an existing tag)
+    if (!existingRelease) {
+        if (await tagExists(config, tag)) {
             console.log(`[INFO] Tag "${tag}" already exists, skipping tag creation`);
-        } catch (error) {
-            if (error.response && error.response.status === 404) {
-                console.log(`[WARN] Tag "${tag}" not found (404), proceeding to create new tag`);
-                
-                const tagData = new FormData();
-                tagData.append('access_token', token);
-                tagData.append('tag_name', tag);
-                tagData.append('refs', targetCommitish);
-
-                const tagHeaders = {
-                    ...tagData.getHeaders(),
-                    'User-Agent': 'Release Sync',
-                    'Accept': 'application/json'
-                };
-
-                console.log(`[INFO] Sending request to create tag "${tag}" pointing to commit/branch "${targetCommitish}"`);
-                await axios.post(
-                    `${baseUrl}/tags`,
-                    tagData,
-                    {
-                        headers: tagHeaders,
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity,
-                        timeout: 60000
-                    }
-                );
-                console.log(`[SUCCESS] Tag "${tag}" has been created successfully`);
-            } else {
-                console.error(`[ERROR] Failed to check or create tag "${tag}": ${error.message || 'Unknown error occurred'}`);
-                throw error;
-            }
+        } else {
+            console.log(`[WARN] Tag "${tag}" not found (404), proceeding to create new tag`);
+            await createTag(config, tag);
         }
+    }
 
-        // Step 2: Prepare form data for release creation
+    // Prepare the release creation or update request (form data is rebuilt for every attempt, as it cannot be resent)
+    const sendReleaseRequest = (method, url) => {
         const formData = new FormData();
         formData.append('tag_name', tag);
         formData.append('name', releaseName);
         formData.append('body', body);
         formData.append('prerelease', prerelease.toString());
-        formData.append('target_commitish', targetCommitish);
+        if (!existingRelease) {
+            formData.append('target_commitish', config.targetCommitish || 'master');
+        }
 
         const headers = {
             ...formData.getHeaders(),
@@ -99,124 +454,311 @@ async function publishGiteeRelease({
             'Accept': 'application/json'
         };
 
-        const releaseUrl = `${baseUrl}/releases?access_token=${encodeURIComponent(token)}`;
-        
-        // Step 3: Create the new release on Gitee
-        try {
+        return axios.request({
+            method,
+            url,
+            data: formData,
+            headers: headers,
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 60000
+        });
+    };
+
+    // Create the new release on Gitee, or update the existing one in place
+    let release;
+    try {
+        if (existingRelease) {
+            console.log(`[INFO] Sending request to update release ${existingRelease.id} with name "${releaseName}" for tag "${tag}"`);
+            const updateResponse = await withRetry(
+                () => sendReleaseRequest('patch', `${baseUrl}/releases/${existingRelease.id}?access_token=${encodeURIComponent(config.token)}`),
+                `Gitee release update for tag "${tag}"`
+            );
+            release = updateResponse.data && updateResponse.data.id ? updateResponse.data : existingRelease.data;
+            console.log(`[SUCCESS] Release "${releaseName}" has been updated successfully`);
+        } else {
             console.log(`[INFO] Sending request to create release "${releaseName}" for tag "${tag}"`);
-            await axios.post(
-                releaseUrl,
-                formData,
-                {
-                    headers: headers,
-                    maxContentLength: Infinity,
-                    maxBodyLength: Infinity,
-                    timeout: 60000
-                }
+            const createResponse = await withRetry(
+                () => sendReleaseRequest('post', `${baseUrl}/releases?access_token=${encodeURIComponent(config.token)}`),
+                `Gitee release creation for tag "${tag}"`,
+                { idempotent: false }
             );
+            release = createResponse.data && createResponse.data.id ? createResponse.data : null;
             console.log(`[SUCCESS] Release "${releaseName}" has been created successfully`);
-        } catch (releaseError) {
-            console.error(`[ERROR] Failed to create release "${releaseName}": ${releaseError.message || 'Unknown release creation error'}`);
-            throw releaseError;
-        }
-
-        // Step 4: Upload asset files to the release (if assetFiles is provided and non-empty)
-        if (assetFiles && assetFiles.length > 0) {
-            console.log(`[INFO] Found ${assetFiles.length} asset file(s) to upload, starting asset upload process`);
-            let releaseId;
-
-            // Retrieve the release ID (required for attaching assets)
-            try {
-                console.log(`[INFO] Retrieving release ID for tag "${tag}"`);
-                const getReleaseResponse = await axios.get(
-                    `${baseUrl}/releases/tags/${encodeURIComponent(tag)}`,
-                    {
-                        params: { access_token: token },
-                        headers: {
-                            'User-Agent': 'Release Sync',
-                            'Content-Type': 'application/json'
-                        },
-                        timeout: 30000
-                    }
-                );
-
-                if (getReleaseResponse.data && getReleaseResponse.data.id) {
-                    releaseId = getReleaseResponse.data.id;
-                    console.log(`[INFO] Successfully retrieved release ID: ${releaseId} for tag "${tag}"`);
-                } else {
-                    throw new Error('Failed to retrieve a valid Release ID from Gitee API response');
-                }
-            } catch (getReleaseError) {
-                console.error(`[ERROR] Failed to retrieve release ID for tag "${tag}": ${getReleaseError.message || 'Unknown error'}`);
-                throw getReleaseError;
-            }
+        }
+    } catch (releaseError) {
+        console.error(`[ERROR] Failed to ${existingRelease ? 'update' : 'create'} release "${releaseName}": ${releaseError.message || 'Unknown release creation error'}`);
+        throw releaseError;
+    }
+
+    // Retrieve the release ID (required for attaching assets) if the create response did not include it
+    if (!release) {
+        console.log(`[INFO] Retrieving release ID for tag "${tag}"`);
+        release = await getGiteeReleaseByTag(baseUrl, config.token, tag);
+        if (!release) {
+            const error = new Error('Failed to retrieve a valid Release ID from Gitee API response');
+            console.error(`[ERROR] Failed to retrieve release ID for tag "${tag}": ${error.message}`);
+            throw error;
+        }
+        console.log(`[INFO] Successfully retrieved release ID: ${release.id} for tag "${tag}"`);
+    }
+
+    return normalizeRelease(config, release);
+}
+
+/**
+ * Lists all files attached to a Gitee release in the normalized form used by the driver.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} release - Normalized release
+ * @returns {Promise<Object[]>} Attached files as { id, name, size, digest, url, downloadUrl } objects (Gitee reports no digest)
+ */
+async function listAssets(config, release) {
+    return listGiteeReleaseAssets(getBaseUrl(config), config.token, release.id);
+}
+
+/**
+ * Streams a local file to a Gitee release as a new attached file.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - Name of the attached file on the release
+ * @returns {Promise<{url: string}>} The download URL of the uploaded file
+ */
+async function uploadAsset(config, release, fileInfo, name) {
+    // Stream the asset file from disk to the release (form data and stream are rebuilt for every attempt)
+    console.log(`[INFO] Uploading asset file "${name}" (${fileInfo.size} bytes) to release ${release.id}`);
+    const uploadResponse = await withRetry(() => {
+        const uploadFormData = new FormData();
+        uploadFormData.append('access_token', config.token);
+        uploadFormData.append('file', createUploadStream(fileInfo, name), {
+            filename: name,
+            knownLength: fileInfo.size
+        });
 
-            // Track asset upload statistics
-            let successCount = 0;
-            let skipCount = 0;
-            let failCount = 0;
-
-            // Iterate through all asset files and upload them one by one
-            for (let i = 0; i < assetFiles.length; i++) {
-                const filePath = assetFiles[i];
-                console.log(`[INFO] Processing asset file ${i + 1}/${assetFiles.length}: ${filePath}`);
-
-                try {
-                    const fileInfo = await getFileInfo(filePath);
-
-                    if (!fileInfo) {
-                        console.warn(`[WARN] No valid file information retrieved for "${filePath}", skipping this file`);
-                        skipCount++;
-                        continue;
-                    }
-
-                    // Prepare form data for asset upload
-                    const uploadFormData = new FormData();
-                    uploadFormData.append('access_token', token);
-                    uploadFormData.append('file', fileInfo.content, {
-                        filename: fileInfo.name,
-                        knownLength: fileInfo.size
-                    });
-
-                    const uploadHeaders = {
-                        ...uploadFormData.getHeaders(),
-                        'User-Agent': 'Release Sync',
-                        'Accept': 'application/json'
-                    };
-
-                    // Upload the asset file to the release
-                    console.log(`[INFO] Uploading asset file "${fileInfo.name}" (${fileInfo.size} bytes) to release ${releaseId}`);
-                    await axios.post(
-                        `${baseUrl}/releases/${releaseId}/attach_files`,
-                        uploadFormData,
-                        {
-                            headers: uploadHeaders,
-                            maxContentLength: Infinity,
-                            maxBodyLength: Infinity,
-                            timeout: 300000
-                        }
-                    );
-                    
-                    successCount++;
-                    console.log(`[SUCCESS] Asset file "${fileInfo.name}" has been uploaded successfully`);
-                } catch (uploadError) {
-                    failCount++;
-                    console.error(`[ERROR] Failed to upload asset file "${filePath}": ${uploadError.message || 'Unknown upload error'}`);
-                    continue;
-                }
+        const uploadHeaders = {
+            ...uploadFormData.getHeaders(),
+            'Content-Length': uploadFormData.getLengthSync(),
+            'User-Agent': 'Release Sync',
+            'Accept': 'application/json'
+        };
+
+        return axios.post(
+            `${getBaseUrl(config)}/releases/${release.id}/attach_files`,
+            uploadFormData,
+            {
+                headers: uploadHeaders,
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity,
+                timeout: 300000
             }
+        );
+    }, `Gitee asset upload for "${name}"`, { idempotent: false });
+    console.log(`[SUCCESS] Asset file "${name}" has been uploaded successfully`);
 
-            // Log final asset upload statistics
-            console.log(`[SUMMARY] Asset upload process completed - Success: ${successCount}, Skipped: ${skipCount}, Failed: ${failCount}`);
-        } else {
-            console.log(`[INFO] No asset files provided, skipping asset upload process`);
+    return { url: uploadResponse.data && uploadResponse.data.browser_download_url };
+}
+
+/**
+ * Deletes an attached file from a Gitee release.
+ *
+ * @async
+ * @param {Object} config - Gitee configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} asset - Normalized attached file to delete
+ */
+async function deleteAsset(config, release, asset) {
+    console.log(`[INFO] Deleting existing asset file "${asset.name}" (ID: ${asset.id}) from release ${release.id}`);
+    await withRetry(() => axios.delete(
+        `${getBaseUrl(config)}/releases/${release.id}/attach_files/${asset.id}`,
+        {
+            params: { access_token: config.token },
+            headers: {
+                'User-Agent': 'Release Sync'
+            },
+            timeout: 30000
         }
+    ), `Gitee asset deletion for "${asset.name}"`);
+}
+
+/**
+ * Returns the request options needed to download attached files (e.g., for verification).
+ *
+ * @param {Object} config - Gitee configuration
+ * @returns {Object} Request options ({ params })
+ */
+function getDownloadOptions(config) {
+    return { params: { access_token: config.token } };
+}
 
-        console.log(`[SUCCESS] Gitee release publication process completed successfully for tag "${tag}"`);
+/**
+ * Returns the download URL an asset of the release has, without any API request.
+ *
+ * @param {Object} config - Gitee configuration
+ * @param {string} tag - Tag of the release
+ * @param {string} name - Name of the asset on the release
+ * @returns {string} The download URL
+ */
+function getAssetDownloadUrl(config, tag, name) {
+    return `https://gitee.com/${config.owner}/${config.repo}/releases/download/${encodeURIComponent(tag)}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Retrieves the release associated with a tag on Gitee.
+ *
+ * Gitee answers a lookup for a tag without a release either with a 404 or with an empty
+ * payload, so both are normalized to null.
+ *
+ * @async
+ * @param {string} baseUrl - Base URL of the repository API endpoints
+ * @param {string} token - Gitee personal access token
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The release data, or null if the tag has no release
+ */
+async function getGiteeReleaseByTag(baseUrl, token, tag) {
+    try {
+        const response = await withRetry(() => axios.get(
+            `${baseUrl}/releases/tags/${encodeURIComponent(tag)}`,
+            {
+                params: { access_token: token },
+                headers: {
+                    'User-Agent': 'Release Sync',
+                    'Content-Type': 'application/json'
+                },
+                timeout: 30000
+            }
+        ), `Gitee release lookup for tag "${tag}"`);
+        return response.data && response.data.id ? response.data : null;
     } catch (error) {
-        console.error(`[FATAL] Gitee release publication process failed: ${error.message || 'Unknown fatal error'}`);
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        console.error(`[ERROR] Failed to look up release for tag "${tag}": ${error.message || 'Unknown error'}`);
         throw error;
     }
 }
 
-module.exports = { publishGiteeRelease };
+/**
+ * Lists all files attached to a Gitee release in the normalized form used for conflict resolution.
+ *
+ * @async
+ * @param {string} baseUrl - Base URL of the repository API endpoints
+ * @param {string} token - Gitee personal access token
+ * @param {number} releaseId - ID of the release
+ * @returns {Promise<Object[]>} Attached files as { id, name, size, digest, url, downloadUrl } objects (Gitee reports no digest)
+ */
+async function listGiteeReleaseAssets(baseUrl, token, releaseId) {
+    const perPage = 100;
+    const assets = [];
+
+    for (let page = 1; ; page++) {
+        const response = await withRetry(() => axios.get(
+            `${baseUrl}/releases/${releaseId}/attach_files`,
+            {
+                params: { access_token: token, page, per_page: perPage },
+                headers: {
+                    'User-Agent': 'Release Sync',
+                    'Content-Type': 'application/json'
+                },
+                timeout: 30000
+            }
+        ), `Gitee asset listing for release ${releaseId}`);
+
+        const pageItems = Array.isArray(response.data) ? response.data : [];
+        assets.push(...pageItems);
+        if (pageItems.length < perPage) {
+            break;
+        }
+    }
+
+    return assets.map(asset => ({
+        id: asset.id,
+        name: asset.name,
+        size: asset.size,
+        digest: null,
+        url: asset.browser_download_url,
+        downloadUrl: asset.browser_download_url
+    }));
+}
+
+/**
+ * Reads an existing Gitee release so that it can be mirrored to other platforms.
+ *
+ * @async
+ * @function getGiteeSourceRelease
+ * @param {Object} options - Source release lookup options
+ * @param {string} options.token - Gitee personal access token with read access to the source repository
+ * @param {string} options.owner - Owner of the source repository
+ * @param {string} options.repo - Name of the source repository
+ * @param {string} options.tag - Tag of the release to read, or "latest" for the latest release
+ * @returns {Promise<Object>} Normalized release ({ tag, releaseName, body, draft, prerelease, assets }),
+ *   where each asset is { name, size, downloadUrl, params }
+ * @throws {Error} Throws an error if the release cannot be found or the API request fails
+ */
+async function getGiteeSourceRelease({ token, owner, repo, tag }) {
+    const baseUrl = `https://gitee.com/api/v5/repos/${owner}/${repo}`;
+    console.log(`[INFO] Reading source Gitee release - Repository: ${owner}/${repo}, Tag: ${tag}`);
+
+    let release;
+    if (tag === 'latest') {
+        const response = await withRetry(() => axios.get(`${baseUrl}/releases/latest`, {
+            params: { access_token: token },
+            headers: {
+                'User-Agent': 'Release Sync',
+                'Content-Type': 'application/json'
+            },
+            timeout: 30000
+        }), 'Gitee latest release lookup');
+        release = response.data && response.data.id ? response.data : null;
+    } else {
+        release = await getGiteeReleaseByTag(baseUrl, token, tag);
+    }
+
+    if (!release) {
+        throw new Error(`No Gitee release found for tag "${tag}" in repository ${owner}/${repo}`);
+    }
+
+    const assets = await listGiteeReleaseAssets(baseUrl, token, release.id);
+    console.log(`[INFO] Found source Gitee release - ID: ${release.id}, Tag: ${release.tag_name}, Asset files: ${assets.length}`);
+
+    return {
+        tag: release.tag_name,
+        releaseName: release.name || release.tag_name,
+        body: release.body || '',
+        draft: false,
+        prerelease: Boolean(release.prerelease),
+        assets: assets.map(asset => ({
+            name: asset.name,
+            size: asset.size,
+            downloadUrl: asset.downloadUrl,
+            params: { access_token: token }
+        }))
+    };
+}
+
+module.exports = {
+    name: 'gitee',
+    displayName: 'Gitee',
+    // Gitee rejects release attachments larger than 100 MB
+    maxAssetSize: 100 * 1024 * 1024,
+    readConfig,
+    validateConfig,
+    checkAccess,
+    getRelease,
+    tagExists,
+    getTagCommit,
+    syncGitRefs,
+    restoreGitRef,
+    createOrUpdateRelease,
+    listAssets,
+    uploadAsset,
+    deleteAsset,
+    getDownloadOptions,
+    getAssetDownloadUrl,
+    listReleases,
+    deleteRelease,
+    getGiteeSourceRelease
+};
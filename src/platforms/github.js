@@ -1,123 +1,625 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { getFileInfo } = require('../utils/fileHandler');
-
-/**
- * Publishes a new release to a GitHub repository with optional release assets.
- * 
- * This function creates a formal GitHub Release associated with a specific git tag,
- * and optionally uploads multiple asset files to the created release. It leverages
- * the Octokit REST client to interact with the GitHub API, and integrates with
- * GitHub Actions core to provide logging and failure reporting.
- * 
- * @async
- * @function publishGitHubRelease
- * @param {Object} options - Configuration options for creating the GitHub Release
- * @param {string} options.token - GitHub personal access token (PAT) with repo scope permissions
- * @param {string} options.tag - The git tag name to associate with the release (e.g., "v1.0.0")
- * @param {string} options.releaseName - Human-readable display name for the release
- * @param {string} options.body - Markdown-formatted release notes/description for the release
- * @param {boolean} options.draft - Whether the release should be a draft (unpublished)
- * @param {boolean} options.prerelease - Whether the release should be marked as a prerelease
- * @param {string[]} [options.assetFiles] - Array of file paths to upload as release assets
- * @returns {Promise<Object>} Promise resolving to the full GitHub Release API response data
- * @throws {Error} Throws an error if the GitHub API request fails or asset upload encounters issues
- */
-async function publishGitHubRelease({
-    token,
-    tag,
-    releaseName,
-    body,
-    draft,
-    prerelease,
-    assetFiles
-}) {
+const axios = require('axios');
+const { createUploadStream } = require('../utils/fileHandler');
+const { withRetry, isIdempotentMethod } = require('../utils/retry');
+
+/**
+ * GitHub platform adapter.
+ *
+ * Publishes releases to the repository the workflow runs in or any other repository the token
+ * can write to, on github.com or GitHub Enterprise Server, using the Octokit REST client for
+ * release operations and streaming uploads for assets. See src/platforms/driver.js for how the
+ * operations are combined.
+ */
+
+// Octokit clients are created once per configuration and reused for every operation
+const clients = new WeakMap();
+
+/**
+ * Reads the GitHub configuration from the "github-*" action inputs. The repository defaults to
+ * the one the workflow runs in (GITHUB_REPOSITORY, not set outside of GitHub Actions), and the
+ * API URL to the one of the GitHub instance running the workflow (GITHUB_API_URL).
+ *
+ * @param {Function} getInput - Returns the value of the "github-<key>" input for a key
+ * @returns {Object} Configuration ({ token, owner, repo, apiUrl, targetCommitish })
+ */
+function readConfig(getInput) {
+    const workflowRepo = process.env.GITHUB_REPOSITORY ? github.context.repo : { owner: '', repo: '' };
+    return {
+        token: getInput('token'),
+        owner: getInput('owner') || workflowRepo.owner,
+        repo: getInput('repo') || workflowRepo.repo,
+        apiUrl: getInput('api-url') || '',
+        targetCommitish: getInput('target-commitish') || ''
+    };
+}
+
+/**
+ * Checks that the configuration contains everything needed to publish a release.
+ *
+ * @param {Object} config - Configuration returned by readConfig()
+ * @returns {string[]} Descriptions of the problems found (empty if the configuration is valid)
+ */
+function validateConfig(config) {
+    const problems = [];
+    if (!config.token) {
+        problems.push('Required \'github-token\' input parameter is missing. Please provide a valid GitHub personal access token.');
+    }
+    if (!config.owner || !config.repo) {
+        problems.push('The target GitHub repository could not be determined. Please provide both \'github-owner\' and \'github-repo\'.');
+    }
+    if (config.apiUrl && !/^https?:\/\//i.test(config.apiUrl)) {
+        problems.push(`Invalid 'github-api-url': ${config.apiUrl}. Please provide the full API URL, e.g. https://github.example.com/api/v3.`);
+    }
+    return problems;
+}
+
+/**
+ * Returns the authenticated Octokit client for a configuration.
+ *
+ * @param {Object} config - GitHub configuration
+ * @returns {Object} Authenticated Octokit client
+ */
+function getClient(config) {
+    if (!clients.has(config)) {
+        core.info(`Creating Octokit client instance with provided authentication token${config.apiUrl ? ` (API URL: ${config.apiUrl})` : ''}`);
+        clients.set(config, createGitHubClient(config.token, config.apiUrl));
+    }
+    return clients.get(config);
+}
+
+/**
+ * Converts a GitHub Release API response into the normalized release used by the driver.
+ *
+ * @param {Object} data - GitHub Release data
+ * @returns {Object} Normalized release ({ id, tag, name, body, draft, prerelease, url, createdAt, data })
+ */
+function normalizeRelease(data) {
+    return {
+        id: data.id,
+        tag: data.tag_name,
+        name: data.name,
+        body: data.body || '',
+        draft: data.draft,
+        prerelease: data.prerelease,
+        url: data.html_url,
+        createdAt: data.created_at || null,
+        data
+    };
+}
+
+/**
+ * Checks that the token can access and write to the repository.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @returns {Promise<{fullName: string, defaultBranch: string, canWrite: boolean}>} Repository access information
+ */
+async function checkAccess(config) {
+    const { data: repository } = await getClient(config).rest.repos.get({ owner: config.owner, repo: config.repo });
+    return {
+        fullName: repository.full_name,
+        defaultBranch: repository.default_branch,
+        canWrite: !repository.permissions || Boolean(repository.permissions.push)
+    };
+}
+
+/**
+ * Retrieves the release associated with a tag, including draft releases.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The normalized release, or null if the tag has no release
+ */
+async function getRelease(config, tag) {
+    const release = await findGitHubReleaseByTag(getClient(config), config.owner, config.repo, tag);
+    return release ? normalizeRelease(release) : null;
+}
+
+/**
+ * Lists all releases of the repository, including drafts.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @returns {Promise<Object[]>} The normalized releases
+ */
+async function listReleases(config) {
+    const octokit = getClient(config);
+    const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner: config.owner, repo: config.repo, per_page: 100 });
+    return releases.map(normalizeRelease);
+}
+
+/**
+ * Deletes a release together with its assets. The tag is kept.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} release - Normalized release to delete
+ */
+async function deleteRelease(config, release) {
+    await getClient(config).rest.repos.deleteRelease({ owner: config.owner, repo: config.repo, release_id: release.id });
+}
+
+/**
+ * Deletes a tag from the repository.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag name to delete
+ */
+async function deleteTag(config, tag) {
+    await getClient(config).rest.git.deleteRef({ owner: config.owner, repo: config.repo, ref: `tags/${tag}` });
+}
+
+/**
+ * Checks whether a tag exists in the repository.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag name to check
+ * @returns {Promise<boolean>} True if the tag exists
+ */
+async function tagExists(config, tag) {
+    try {
+        await getClient(config).rest.git.getRef({ owner: config.owner, repo: config.repo, ref: `tags/${tag}` });
+        return true;
+    } catch (error) {
+        if (error.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolves the commit a tag points to. Annotated tags are followed to their commit.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag name to resolve
+ * @returns {Promise<string|null>} The commit SHA, or null if the tag does not exist
+ */
+async function getTagCommit(config, tag) {
+    const octokit = getClient(config);
+    let target;
     try {
-        // Log the initialization of the GitHub Release publishing process
-        core.info('Initializing GitHub Release publishing process...');
-        
-        // Initialize Octokit client with the provided GitHub token for API authentication
-        core.info(`Creating Octokit client instance with provided authentication token`);
-        const octokit = github.getOctokit(token);
-        
-        // Extract repository owner and name from the current GitHub Actions context
-        const { owner, repo } = github.context.repo;
-        core.info(`Extracted repository context - Owner: ${owner}, Repository: ${repo}`);
-
-        // Log the release configuration before making the API request
-        core.info(`Preparing to create GitHub Release with the following configuration:`);
-        core.info(`  - Tag Name: ${tag}`);
-        core.info(`  - Release Name: ${releaseName}`);
-        core.info(`  - Draft Status: ${draft ? 'Enabled' : 'Disabled'}`);
-        core.info(`  - Prerelease Status: ${prerelease ? 'Enabled' : 'Disabled'}`);
-        core.info(`  - Number of Assets to Upload: ${assetFiles.length}`);
-
-        // Create the formal GitHub Release via the REST API
-        core.info(`Initiating GitHub Release creation for tag: ${tag}`);
-        const releaseResponse = await octokit.rest.repos.createRelease({
+        target = (await octokit.rest.git.getRef({ owner: config.owner, repo: config.repo, ref: `tags/${tag}` })).data.object;
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+
+    while (target.type === 'tag') {
+        target = (await octokit.rest.git.getTag({ owner: config.owner, repo: config.repo, tag_sha: target.sha })).data.object;
+    }
+    return target.sha;
+}
+
+/**
+ * Creates a GitHub Release for the tag, or updates the metadata of the existing one in place.
+ * GitHub creates a missing tag from the target commitish (or the default branch) when the
+ * release is created.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} options - Release metadata
+ * @param {Object|null} options.existingRelease - Normalized existing release to update, or null to create one
+ * @param {string} options.tag - Tag name of the release
+ * @param {string} options.releaseName - Display name of the release
+ * @param {string} options.body - Release notes
+ * @param {boolean} options.draft - Whether the release is a draft
+ * @param {boolean} options.prerelease - Whether the release is a pre-release
+ * @returns {Promise<Object>} The normalized created or updated release
+ */
+async function createOrUpdateRelease(config, { existingRelease, tag, releaseName, body, draft, prerelease }) {
+    const octokit = getClient(config);
+    const { owner, repo } = config;
+
+    if (existingRelease) {
+        // Update the metadata of the existing release in place
+        const { data } = await octokit.rest.repos.updateRelease({
             owner,
             repo,
+            release_id: existingRelease.id,
             tag_name: tag,
             name: releaseName,
             body,
             draft,
             prerelease
         });
+        return normalizeRelease(data);
+    }
 
-        // Extract and log the created release ID and URL
-        const releaseId = releaseResponse.data.id;
-        const releaseUrl = releaseResponse.data.html_url;
-        core.info(`Successfully created GitHub Release - ID: ${releaseId}, URL: ${releaseUrl}`);
-
-        // Process and upload all specified release assets if the asset list is not empty
-        if (assetFiles.length > 0) {
-            core.info(`Starting processing of ${assetFiles.length} release asset(s)`);
-            
-            for (const [index, filePath] of assetFiles.entries()) {
-                core.info(`Processing asset ${index + 1}/${assetFiles.length}: ${filePath}`);
-                
-                // Retrieve file metadata and content using the external file handler utility
-                core.info(`Fetching file information for asset: ${filePath}`);
-                const fileInfo = await getFileInfo(filePath);
-                
-                // Skip the asset if file information retrieval fails
-                if (!fileInfo) {
-                    core.warning(`Skipping asset ${filePath} - Failed to retrieve valid file information`);
-                    continue;
-                }
-                
-                core.info(`Initiating upload of asset: ${fileInfo.name} (Size: ${Buffer.byteLength(fileInfo.content)} bytes)`);
-                
-                // Upload the asset to the previously created GitHub Release
-                await octokit.rest.repos.uploadReleaseAsset({
-                    owner,
-                    repo,
-                    release_id: releaseId,
-                    name: fileInfo.name,
-                    data: fileInfo.content
-                });
-                
-                core.info(`Successfully uploaded asset ${index + 1}/${assetFiles.length}: ${fileInfo.name}`);
-            }
-            
-            core.info(`Completed processing of all ${assetFiles.length} release asset(s)`);
-        } else {
-            core.info(`No release assets specified - Skipping asset upload step`);
+    // Create the formal GitHub Release via the REST API
+    if (config.targetCommitish) {
+        core.info(`Target for a missing GitHub tag: ${config.targetCommitish}`);
+    }
+    const { data } = await octokit.rest.repos.createRelease({
+        owner,
+        repo,
+        tag_name: tag,
+        name: releaseName,
+        body,
+        draft,
+        prerelease,
+        ...(config.targetCommitish ? { target_commitish: config.targetCommitish } : {})
+    });
+    return normalizeRelease(data);
+}
+
+/**
+ * Lists all assets attached to a GitHub release in the normalized form used by the driver.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} release - Normalized release
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects
+ */
+async function listAssets(config, release) {
+    return listGitHubReleaseAssets(getClient(config), config.owner, config.repo, release.id);
+}
+
+/**
+ * Streams a local file to a GitHub release as a new asset.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - Name of the asset on the release
+ * @returns {Promise<{url: string}>} The browser download URL of the uploaded asset
+ */
+async function uploadAsset(config, release, fileInfo, name) {
+    const uploadedAsset = await uploadGitHubReleaseAsset({
+        token: config.token,
+        uploadUrl: release.data.upload_url,
+        fileInfo,
+        name
+    });
+    return { url: uploadedAsset.browser_download_url };
+}
+
+/**
+ * Deletes an asset from a GitHub release.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} asset - Normalized asset to delete
+ */
+async function deleteAsset(config, release, asset) {
+    await getClient(config).rest.repos.deleteReleaseAsset({
+        owner: config.owner,
+        repo: config.repo,
+        asset_id: asset.id
+    });
+}
+
+/**
+ * Returns the request options needed to download assets of the repository (e.g., for verification).
+ *
+ * @param {Object} config - GitHub configuration
+ * @returns {Object} Request options ({ headers })
+ */
+function getDownloadOptions(config) {
+    return {
+        headers: {
+            'Authorization': `Bearer ${config.token}`,
+            'Accept': 'application/octet-stream'
+        }
+    };
+}
+
+/**
+ * Returns the download URL an asset of the release has, without any API request.
+ *
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag of the release
+ * @param {string} name - Name of the asset on the release
+ * @returns {string} The download URL
+ */
+function getAssetDownloadUrl(config, tag, name) {
+    return `${getRepositoryWebUrl(config)}/releases/download/${encodeURIComponent(tag)}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Creates an Octokit client whose requests (including pagination and asset uploads) go
+ * through the shared retry layer.
+ *
+ * @param {string} token - GitHub token used for authentication
+ * @param {string} [apiUrl] - REST API base URL (e.g., "https://github.example.com/api/v3" for
+ *   GitHub Enterprise Server); defaults to GITHUB_API_URL or https://api.github.com
+ * @returns {Object} Authenticated Octokit client
+ */
+function createGitHubClient(token, apiUrl) {
+    const octokit = github.getOctokit(token, apiUrl ? { baseUrl: apiUrl.replace(/\/+$/, '') } : {});
+    octokit.hook.wrap('request', (request, options) => withRetry(
+        () => request(options),
+        `GitHub API request ${options.method} ${options.url}`,
+        { idempotent: isIdempotentMethod(options.method) }
+    ));
+    return octokit;
+}
+
+/**
+ * Streams a local file to a GitHub release as a new asset.
+ *
+ * Octokit's upload helper requires the whole file in memory, so the upload goes straight to
+ * the release's upload URL with a known content length instead.
+ *
+ * @async
+ * @param {Object} options - Upload options
+ * @param {string} options.token - GitHub token used for authentication
+ * @param {string} options.uploadUrl - The release's upload_url (RFC 6570 template)
+ * @param {Object} options.fileInfo - Local file information ({ name, path, size })
+ * @param {string} options.name - Name of the asset on the release
+ * @returns {Promise<Object>} The created asset data
+ */
+async function uploadGitHubReleaseAsset({ token, uploadUrl, fileInfo, name }) {
+    const response = await withRetry(() => axios.post(
+        uploadUrl.replace(/\{[^}]*\}$/, ''),
+        createUploadStream(fileInfo, name),
+        {
+            params: { name },
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github+json',
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': fileInfo.size,
+                'User-Agent': 'Release Sync'
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 300000
         }
+    ), `GitHub asset upload for "${name}"`, { idempotent: false });
 
-        // Return the full release response data for further processing by the caller
-        core.info(`GitHub Release publishing process completed successfully`);
-        return releaseResponse.data;
-        
+    return response.data;
+}
+
+/**
+ * Finds the release associated with a tag, including draft releases.
+ *
+ * The get-release-by-tag endpoint does not return drafts, so a 404 from it falls back
+ * to scanning the full release list.
+ *
+ * @async
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The release data, or null if the tag has no release
+ */
+async function findGitHubReleaseByTag(octokit, owner, repo, tag) {
+    try {
+        const { data } = await octokit.rest.repos.getReleaseByTag({ owner, repo, tag });
+        return data;
     } catch (error) {
-        // Log the fatal error and set the GitHub Actions workflow status to failed
-        const errorMessage = `GitHub Release publication failed: ${error.message}`;
-        core.error(errorMessage);
-        core.setFailed(errorMessage);
-        
-        // Re-throw the error to allow upstream callers to handle it if necessary
-        throw error;
+        if (error.status !== 404) {
+            throw error;
+        }
+    }
+
+    core.debug(`Tag lookup returned 404 for "${tag}", scanning release list for a matching draft release`);
+    const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 });
+    return releases.find(release => release.tag_name === tag) || null;
+}
+
+/**
+ * Lists all assets attached to a GitHub release in the normalized form used for conflict resolution.
+ *
+ * @async
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} releaseId - ID of the release
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects, where url is the
+ *   browser download URL and downloadUrl the API URL serving the binary content
+ */
+async function listGitHubReleaseAssets(octokit, owner, repo, releaseId) {
+    const assets = await octokit.paginate(octokit.rest.repos.listReleaseAssets, {
+        owner,
+        repo,
+        release_id: releaseId,
+        per_page: 100
+    });
+
+    return assets.map(asset => ({
+        id: asset.id,
+        name: asset.name,
+        size: asset.size,
+        digest: asset.digest || null,
+        url: asset.browser_download_url,
+        downloadUrl: asset.url
+    }));
+}
+
+/**
+ * Reads an existing GitHub release so that it can be mirrored to other platforms.
+ *
+ * @async
+ * @function getGitHubSourceRelease
+ * @param {Object} options - Source release lookup options
+ * @param {string} options.token - GitHub token with read access to the source repository
+ * @param {string} options.owner - Owner of the source repository
+ * @param {string} options.repo - Name of the source repository
+ * @param {string} options.tag - Tag of the release to read, or "latest" for the latest published release
+ * @param {string} [options.apiUrl] - REST API base URL for GitHub Enterprise Server
+ * @returns {Promise<Object>} Normalized release ({ tag, releaseName, body, draft, prerelease, assets }),
+ *   where each asset is { name, size, downloadUrl, headers }
+ * @throws {Error} Throws an error if the release cannot be found or the API request fails
+ */
+async function getGitHubSourceRelease({ token, owner, repo, tag, apiUrl }) {
+    core.info(`Reading source GitHub Release - Repository: ${owner}/${repo}, Tag: ${tag}`);
+    const octokit = createGitHubClient(token, apiUrl);
+
+    let release;
+    if (tag === 'latest') {
+        const { data } = await octokit.rest.repos.getLatestRelease({ owner, repo });
+        release = data;
+    } else {
+        release = await findGitHubReleaseByTag(octokit, owner, repo, tag);
+    }
+
+    if (!release) {
+        throw new Error(`No GitHub Release found for tag "${tag}" in repository ${owner}/${repo}`);
+    }
+
+    const assets = await octokit.paginate(octokit.rest.repos.listReleaseAssets, {
+        owner,
+        repo,
+        release_id: release.id,
+        per_page: 100
+    });
+    core.info(`Found source GitHub Release - ID: ${release.id}, Tag: ${release.tag_name}, Assets: ${assets.length}`);
+
+    return {
+        tag: release.tag_name,
+        releaseName: release.name || release.tag_name,
+        body: release.body || '',
+        draft: release.draft,
+        prerelease: release.prerelease,
+        assets: assets.map(asset => ({
+            name: asset.name,
+            size: asset.size,
+            // The API URL serves the binary content (including for private repositories) when requested as octet-stream
+            downloadUrl: asset.url,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/octet-stream'
+            }
+        }))
+    };
+}
+
+/**
+ * Generates release notes with GitHub's generate-notes API (the notes GitHub shows for
+ * "Generate release notes": merged pull requests, new contributors and a full changelog link).
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} options - Release notes options
+ * @param {string} options.tag - Tag of the release
+ * @param {string} [options.previousTag] - Tag the notes start from (defaults to GitHub's choice, the previous release)
+ * @returns {Promise<string>} The generated Markdown notes
+ */
+async function generateGitHubReleaseNotes(config, { tag, previousTag }) {
+    core.info(`Generating GitHub release notes - Repository: ${config.owner}/${config.repo}, Tag: ${tag}, Previous Tag: ${previousTag || 'automatic'}`);
+    const { data } = await getClient(config).rest.repos.generateReleaseNotes({
+        owner: config.owner,
+        repo: config.repo,
+        tag_name: tag,
+        ...(config.targetCommitish ? { target_commitish: config.targetCommitish } : {}),
+        ...(previousTag ? { previous_tag_name: previousTag } : {})
+    });
+    return data.body || '';
+}
+
+/**
+ * Finds the tag of the most recent published (non-draft) release other than the given tag.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {string} tag - Tag of the release being published
+ * @returns {Promise<string|null>} The previous release tag, or null if there is none
+ */
+async function findPreviousGitHubReleaseTag(config, tag) {
+    const octokit = getClient(config);
+    const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner: config.owner, repo: config.repo, per_page: 100 });
+    const previous = releases
+        .filter(release => !release.draft && release.tag_name !== tag)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    return previous ? previous.tag_name : null;
+}
+
+/**
+ * Lists the commits of a ref, optionally only those after a base ref, newest first.
+ *
+ * @async
+ * @param {Object} config - GitHub configuration
+ * @param {Object} options - Commit range
+ * @param {string|null} options.base - Ref the range starts after (e.g., the previous tag), or null for the whole history
+ * @param {string} options.head - Ref the range ends at (tag, branch or commit SHA)
+ * @param {number} [options.limit=250] - Maximum number of commits returned when there is no base
+ * @returns {Promise<Array<{sha: string, message: string}>>} The commits in the range
+ */
+async function listGitHubCommits(config, { base, head, limit = 250 }) {
+    const octokit = getClient(config);
+    const { owner, repo } = config;
+
+    if (base) {
+        const commits = await octokit.paginate(octokit.rest.repos.compareCommitsWithBasehead, {
+            owner,
+            repo,
+            basehead: `${base}...${head}`,
+            per_page: 100
+        }, response => response.data.commits);
+        return commits.reverse().map(commit => ({ sha: commit.sha, message: commit.commit.message }));
     }
+
+    const commits = [];
+    for await (const response of octokit.paginate.iterator(octokit.rest.repos.listCommits, { owner, repo, sha: head, per_page: 100 })) {
+        commits.push(...response.data);
+        if (commits.length >= limit) {
+            break;
+        }
+    }
+    return commits.slice(0, limit).map(commit => ({ sha: commit.sha, message: commit.commit.message }));
+}
+
+/**
+ * Returns the web URL comparing two refs of the repository.
+ *
+ * @param {Object} config - GitHub configuration
+ * @param {string} base - Base ref
+ * @param {string} head - Head ref
+ * @returns {string} The compare page URL
+ */
+function getGitHubCompareUrl(config, base, head) {
+    return `${getRepositoryWebUrl(config)}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+}
+
+/**
+ * Returns the web URL of the repository.
+ *
+ * @param {Object} config - GitHub configuration
+ * @returns {string} The repository URL, e.g. https://github.com/owner/repo
+ */
+function getRepositoryWebUrl(config) {
+    // The web URL is derived from the API URL: api.github.com -> github.com, <host>/api/v3 -> <host>
+    const apiUrl = (config.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    const webUrl = apiUrl === 'https://api.github.com' ? 'https://github.com' : apiUrl.replace(/\/api\/v3$/, '');
+    return `${webUrl}/${config.owner}/${config.repo}`;
 }
 
-module.exports = { publishGitHubRelease };
+module.exports = {
+    name: 'github',
+    displayName: 'GitHub',
+    supportsDrafts: true,
+    // GitHub rejects release assets of 2 GiB and larger
+    maxAssetSize: 2 * 1024 * 1024 * 1024,
+    readConfig,
+    validateConfig,
+    checkAccess,
+    getRelease,
+    tagExists,
+    getTagCommit,
+    createOrUpdateRelease,
+    listAssets,
+    uploadAsset,
+    deleteAsset,
+    getDownloadOptions,
+    getAssetDownloadUrl,
+    listReleases,
+    deleteRelease,
+    deleteTag,
+    getGitHubSourceRelease,
+    generateGitHubReleaseNotes,
+    findPreviousGitHubReleaseTag,
+    listGitHubCommits,
+    getGitHubCompareUrl
+};
@@ -0,0 +1,503 @@
+const core = require('@actions/core');
+const axios = require('axios');
+const { createUploadStream } = require('../utils/fileHandler');
+const { withRetry, isIdempotentMethod } = require('../utils/retry');
+
+// Minimum project access level (Developer) required to create releases and publish packages
+const GITLAB_DEVELOPER_ACCESS = 30;
+
+/**
+ * GitLab platform adapter (gitlab.com or self-managed).
+ *
+ * GitLab releases cannot hold files themselves, so every asset is uploaded to the project's
+ * generic package registry (package "<packageName>", version derived from the tag) and attached
+ * to the release as a package link. A missing tag is created by GitLab from the target commitish
+ * when the release is created. GitLab identifies releases by tag and has no draft or pre-release
+ * flags. See src/platforms/driver.js for how the operations are combined.
+ */
+
+/**
+ * Reads the GitLab configuration from the "gitlab-*" action inputs.
+ *
+ * @param {Function} getInput - Returns the value of the "gitlab-<key>" input for a key
+ * @returns {Object} Configuration ({ token, url, project, targetCommitish, packageName })
+ */
+function readConfig(getInput) {
+    return {
+        token: getInput('token'),
+        url: getInput('url') || 'https://gitlab.com',
+        project: getInput('project'),
+        targetCommitish: getInput('target-commitish'),
+        packageName: getInput('package-name') || 'release-assets'
+    };
+}
+
+/**
+ * Checks that the configuration contains everything needed to publish a release.
+ *
+ * @param {Object} config - Configuration returned by readConfig()
+ * @returns {string[]} Descriptions of the problems found (empty if the configuration is valid)
+ */
+function validateConfig(config) {
+    const missing = [
+        !config.token && 'gitlab-token',
+        !config.project && 'gitlab-project'
+    ].filter(Boolean);
+    return missing.length > 0
+        ? [`Required input parameter(s) are missing: ${missing.map(name => `'${name}'`).join(', ')}`]
+        : [];
+}
+
+/**
+ * Creates the API client for a configuration.
+ *
+ * @param {Object} config - GitLab configuration
+ * @returns {Object} GitLab API client (see createGitLabClient)
+ */
+function getClient(config) {
+    return createGitLabClient(config.url, config.token, config.project);
+}
+
+/**
+ * Converts GitLab release data into the normalized release used by the driver.
+ *
+ * @param {Object} data - GitLab release data
+ * @returns {Object} Normalized release ({ id, tag, name, body, url, createdAt, data }), where id is the tag name
+ */
+function normalizeRelease(data) {
+    return {
+        id: data.tag_name,
+        tag: data.tag_name,
+        name: data.name,
+        body: data.description || '',
+        url: getReleaseUrl(data),
+        createdAt: data.created_at || null,
+        data
+    };
+}
+
+/**
+ * Checks that the token has at least Developer access to the project.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @returns {Promise<{fullName: string, defaultBranch: string, canWrite: boolean}>} Project access information
+ */
+async function checkAccess(config) {
+    const { data: projectData } = await getClient(config).request({ method: 'get', url: '' }, `GitLab project lookup for ${config.project}`);
+    const accessLevel = getProjectAccessLevel(projectData);
+    if (accessLevel !== null && accessLevel < GITLAB_DEVELOPER_ACCESS) {
+        core.warning(`The GitLab token has access level ${accessLevel} on project ${config.project}, but at least Developer (${GITLAB_DEVELOPER_ACCESS}) is required`);
+    }
+
+    return {
+        fullName: projectData.path_with_namespace || config.project,
+        defaultBranch: projectData.default_branch,
+        canWrite: accessLevel === null || accessLevel >= GITLAB_DEVELOPER_ACCESS
+    };
+}
+
+/**
+ * Retrieves the release associated with a tag.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The normalized release, or null if the tag has no release
+ */
+async function getRelease(config, tag) {
+    const release = await getGitLabReleaseByTag(getClient(config), tag);
+    return release ? normalizeRelease(release) : null;
+}
+
+/**
+ * Lists all releases of the project.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @returns {Promise<Object[]>} The normalized releases
+ */
+async function listReleases(config) {
+    const releases = await paginateGitLab(getClient(config), '/releases', {}, 'GitLab release listing');
+    return releases.map(normalizeRelease);
+}
+
+/**
+ * Deletes a release and the generic package holding its files, which is what frees the storage.
+ * The tag is kept.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {Object} release - Normalized release to delete
+ */
+async function deleteRelease(config, release) {
+    const client = getClient(config);
+    await client.request({ method: 'delete', url: `/releases/${encodeURIComponent(release.tag)}` }, `GitLab release deletion for tag "${release.tag}"`);
+
+    const packageVersion = getPackageVersion(release.tag);
+    const packages = await paginateGitLab(client, '/packages', { package_type: 'generic', package_name: config.packageName }, `GitLab package listing for "${config.packageName}"`);
+    for (const releasePackage of packages.filter(candidate => candidate.name === config.packageName && candidate.version === packageVersion)) {
+        await client.request({ method: 'delete', url: `/packages/${releasePackage.id}` }, `GitLab package deletion for "${config.packageName}" ${packageVersion}`);
+    }
+}
+
+/**
+ * Deletes a tag from the project.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {string} tag - Tag name to delete
+ */
+async function deleteTag(config, tag) {
+    await getClient(config).request({ method: 'delete', url: `/repository/tags/${encodeURIComponent(tag)}` }, `GitLab tag deletion for "${tag}"`);
+}
+
+/**
+ * Checks whether a tag exists in the project.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {string} tag - Tag name to check
+ * @returns {Promise<boolean>} True if the tag exists
+ */
+async function tagExists(config, tag) {
+    try {
+        await getClient(config).request({ method: 'get', url: `/repository/tags/${encodeURIComponent(tag)}` }, `GitLab tag lookup for "${tag}"`);
+        return true;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Creates a release for the tag, or updates the name and description of the existing release.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {Object} options - Release metadata
+ * @param {Object|null} options.existingRelease - Normalized existing release to update, or null to create one
+ * @param {string} options.tag - Tag name of the release
+ * @param {string} options.releaseName - Display name of the release
+ * @param {string} options.body - Release description (Markdown)
+ * @param {boolean} [options.draft] - Ignored (GitLab has no draft releases); a warning is logged when set
+ * @param {boolean} [options.prerelease] - Ignored (GitLab has no pre-release flag); a warning is logged when set
+ * @returns {Promise<Object>} The normalized created or updated release
+ */
+async function createOrUpdateRelease(config, { existingRelease, tag, releaseName, body, draft, prerelease }) {
+    const client = getClient(config);
+    core.info(`GitLab instance: ${client.instanceUrl}, Project: ${config.project} - Release assets are stored in the generic package "${config.packageName}" (version: ${getPackageVersion(tag)})`);
+
+    if (draft || prerelease) {
+        core.warning(`GitLab releases have no draft or pre-release flag - Ignoring draft: ${draft}, prerelease: ${prerelease}`);
+    }
+
+    if (existingRelease) {
+        const response = await client.request({
+            method: 'put',
+            url: `/releases/${encodeURIComponent(tag)}`,
+            data: { name: releaseName, description: body }
+        }, `GitLab release update for tag "${tag}"`);
+        return normalizeRelease(response.data);
+    }
+
+    // The ref is only used by GitLab when the tag does not exist yet
+    const ref = config.targetCommitish || (await client.request({ method: 'get', url: '' }, `GitLab project lookup for ${config.project}`)).data.default_branch;
+    core.info(`Ref for a missing GitLab tag: ${ref}`);
+    const response = await client.request({
+        method: 'post',
+        url: '/releases',
+        data: { tag_name: tag, name: releaseName, description: body, ref }
+    }, `GitLab release creation for tag "${tag}"`);
+    return normalizeRelease(response.data);
+}
+
+/**
+ * Lists the asset links of a release in the normalized form used by the driver.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {Object} release - Normalized release
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects
+ */
+async function listAssets(config, release) {
+    return listGitLabReleaseAssets(getClient(config), release.tag, config.packageName, getPackageVersion(release.tag));
+}
+
+/**
+ * Uploads a local file to the generic package registry and links it from the release.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - Name of the asset link on the release
+ * @returns {Promise<{url: string}>} The download URL of the uploaded file
+ */
+async function uploadAsset(config, release, fileInfo, name) {
+    const client = getClient(config);
+    const downloadUrl = await uploadGitLabPackageFile(client, config.packageName, getPackageVersion(release.tag), fileInfo, name);
+    await client.request({
+        method: 'post',
+        url: `/releases/${encodeURIComponent(release.tag)}/assets/links`,
+        data: { name, url: downloadUrl, link_type: 'package' }
+    }, `GitLab asset link creation for "${name}"`);
+
+    return { url: downloadUrl };
+}
+
+/**
+ * Deletes an asset link from a release. The package file itself is kept; re-uploading a file with
+ * the same name adds a newer file to the package, which the download URL then resolves to.
+ *
+ * @async
+ * @param {Object} config - GitLab configuration
+ * @param {Object} release - Normalized release
+ * @param {Object} asset - Normalized asset to delete
+ */
+async function deleteAsset(config, release, asset) {
+    await getClient(config).request({
+        method: 'delete',
+        url: `/releases/${encodeURIComponent(release.tag)}/assets/links/${asset.id}`
+    }, `GitLab asset link deletion for "${asset.name}"`);
+}
+
+/**
+ * Returns the request options needed to download package files (e.g., for verification).
+ *
+ * @param {Object} config - GitLab configuration
+ * @returns {Object} Request options ({ headers })
+ */
+function getDownloadOptions(config) {
+    return { headers: getClient(config).authHeaders };
+}
+
+/**
+ * Returns the download URL an asset of the release has (a file of the release's generic package), without any API request.
+ *
+ * @param {Object} config - GitLab configuration
+ * @param {string} tag - Tag of the release
+ * @param {string} name - Name of the asset on the release
+ * @returns {string} The download URL
+ */
+function getAssetDownloadUrl(config, tag, name) {
+    return getPackageFileUrl(getClient(config), config.packageName, getPackageVersion(tag), name);
+}
+
+/**
+ * Creates a small client for the project endpoints of the GitLab API (v4). Every request is
+ * authenticated with the access token and goes through the shared retry layer.
+ *
+ * @param {string} url - Base URL of the GitLab instance
+ * @param {string} token - GitLab access token
+ * @param {string} project - Project ID or full path
+ * @returns {{instanceUrl: string, baseUrl: string, authHeaders: Object, request: Function}} The client,
+ *   where request(config, description) sends an axios request relative to the project endpoint
+ */
+function createGitLabClient(url, token, project) {
+    const instanceUrl = url.replace(/\/+$/, '');
+    const baseUrl = `${instanceUrl}/api/v4/projects/${encodeURIComponent(project)}`;
+    const authHeaders = { 'PRIVATE-TOKEN': token };
+
+    const request = (config, description) => withRetry(() => axios.request({
+        timeout: 30000,
+        ...config,
+        url: `${baseUrl}${config.url}`,
+        headers: {
+            ...authHeaders,
+            'User-Agent': 'Release Sync',
+            'Accept': 'application/json',
+            ...config.headers
+        }
+    }), description, { idempotent: isIdempotentMethod(config.method) });
+
+    return { instanceUrl, baseUrl, authHeaders, request };
+}
+
+/**
+ * Derives the generic package version from a tag. Package versions may only contain letters,
+ * digits and ".", "_", "-", "+", so any other character (e.g., "/" in "release/1.0") becomes "-".
+ *
+ * @param {string} tag - Release tag
+ * @returns {string} The package version
+ */
+function getPackageVersion(tag) {
+    return tag.replace(/[^0-9A-Za-z._+-]/g, '-');
+}
+
+/**
+ * Returns the web URL of a GitLab release.
+ *
+ * @param {Object} release - GitLab release data
+ * @returns {string|null} The release page URL
+ */
+function getReleaseUrl(release) {
+    return (release._links && release._links.self) || null;
+}
+
+/**
+ * Returns the token's effective access level on a project, or null if GitLab did not report it
+ * (e.g., for administrators).
+ *
+ * @param {Object} projectData - GitLab project data
+ * @returns {number|null} The highest of the project and group access levels
+ */
+function getProjectAccessLevel(projectData) {
+    const permissions = projectData.permissions;
+    if (!permissions) {
+        return null;
+    }
+    const levels = [permissions.project_access, permissions.group_access]
+        .filter(Boolean)
+        .map(access => access.access_level);
+    return levels.length > 0 ? Math.max(...levels) : null;
+}
+
+/**
+ * Streams a local file to the project's generic package registry.
+ *
+ * @async
+ * @param {Object} client - GitLab API client
+ * @param {string} packageName - Generic package name
+ * @param {string} packageVersion - Generic package version
+ * @param {Object} fileInfo - Local file information ({ name, path, size })
+ * @param {string} name - File name in the package
+ * @returns {Promise<string>} The download URL of the uploaded file
+ */
+async function uploadGitLabPackageFile(client, packageName, packageVersion, fileInfo, name) {
+    const fileUrl = getPackageFileUrl(client, packageName, packageVersion, name);
+
+    await withRetry(() => axios.put(fileUrl, createUploadStream(fileInfo, name), {
+        headers: {
+            ...client.authHeaders,
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': fileInfo.size,
+            'User-Agent': 'Release Sync'
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        timeout: 300000
+    }), `GitLab package upload for "${name}"`);
+
+    return fileUrl;
+}
+
+/**
+ * Builds the download URL of a file in the project's generic package registry.
+ *
+ * @param {Object} client - GitLab API client
+ * @param {string} packageName - Generic package name
+ * @param {string} packageVersion - Generic package version
+ * @param {string} name - File name in the package
+ * @returns {string} The package file URL
+ */
+function getPackageFileUrl(client, packageName, packageVersion, name) {
+    return `${client.baseUrl}/packages/generic/${encodeURIComponent(packageName)}/${encodeURIComponent(packageVersion)}/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Retrieves the release associated with a tag on GitLab.
+ *
+ * @async
+ * @param {Object} client - GitLab API client
+ * @param {string} tag - Tag name to look up
+ * @returns {Promise<Object|null>} The release data, or null if the tag has no release
+ */
+async function getGitLabReleaseByTag(client, tag) {
+    try {
+        const { data } = await client.request({ method: 'get', url: `/releases/${encodeURIComponent(tag)}` }, `GitLab release lookup for tag "${tag}"`);
+        return data;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Sends a paginated GET request relative to the project endpoint and collects all items.
+ *
+ * @async
+ * @param {Object} client - GitLab API client
+ * @param {string} url - Endpoint path relative to the project
+ * @param {Object} params - Query parameters
+ * @param {string} description - Description of the request for log messages
+ * @returns {Promise<Object[]>} All items of all pages
+ */
+async function paginateGitLab(client, url, params, description) {
+    const perPage = 100;
+    const items = [];
+
+    for (let page = 1; ; page++) {
+        const { data } = await client.request({ method: 'get', url, params: { ...params, page, per_page: perPage } }, description);
+        const pageItems = Array.isArray(data) ? data : [];
+        items.push(...pageItems);
+        if (pageItems.length < perPage) {
+            return items;
+        }
+    }
+}
+
+/**
+ * Lists the asset links of a GitLab release in the normalized form used for conflict resolution.
+ *
+ * Links pointing to files of the release's generic package are enriched with the size and
+ * SHA-256 digest reported by the package registry; other links have neither.
+ *
+ * @async
+ * @param {Object} client - GitLab API client
+ * @param {string} tag - Tag of the release
+ * @param {string} packageName - Generic package name
+ * @param {string} packageVersion - Generic package version
+ * @returns {Promise<Object[]>} Assets as { id, name, size, digest, url, downloadUrl } objects
+ */
+async function listGitLabReleaseAssets(client, tag, packageName, packageVersion) {
+    const links = await paginateGitLab(client, `/releases/${encodeURIComponent(tag)}/assets/links`, {}, `GitLab asset link listing for tag "${tag}"`);
+
+    // Collect the newest file of each name in the release's generic package
+    const packageFiles = new Map();
+    const packages = await paginateGitLab(client, '/packages', { package_type: 'generic', package_name: packageName }, `GitLab package listing for "${packageName}"`);
+    const releasePackage = packages.find(candidate => candidate.name === packageName && candidate.version === packageVersion);
+    if (releasePackage) {
+        const files = await paginateGitLab(client, `/packages/${releasePackage.id}/package_files`, {}, `GitLab package file listing for "${packageName}"`);
+        for (const file of files) {
+            packageFiles.set(file.file_name, file);
+        }
+    }
+
+    return links.map(link => {
+        const packageFile = link.url === getPackageFileUrl(client, packageName, packageVersion, link.name)
+            ? packageFiles.get(link.name)
+            : null;
+        return {
+            id: link.id,
+            name: link.name,
+            size: packageFile ? packageFile.size : null,
+            digest: packageFile && packageFile.file_sha256 ? `sha256:${packageFile.file_sha256}` : null,
+            url: link.url,
+            downloadUrl: link.url
+        };
+    });
+}
+
+module.exports = {
+    name: 'gitlab',
+    displayName: 'GitLab',
+    readConfig,
+    validateConfig,
+    checkAccess,
+    getRelease,
+    tagExists,
+    createOrUpdateRelease,
+    listAssets,
+    uploadAsset,
+    deleteAsset,
+    getDownloadOptions,
+    getAssetDownloadUrl,
+    listReleases,
+    deleteRelease,
+    deleteTag
+};
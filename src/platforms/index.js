@@ -1,20 +1,120 @@
 /**
- * Module for publishing software releases to code hosting platforms (GitHub and Gitee).
+ * Module for publishing software releases to code hosting platforms (GitHub, Gitee, GitLab and Gitea/Forgejo).
+ *
+ * Every platform is implemented as an adapter module (see README, "Custom Platform Adapters");
+ * the shared release flow lives in ./driver.js.
  */
 
-// Import release publishing functions from the corresponding platform-specific modules
-const { publishGitHubRelease } = require('./github');
-const { publishGiteeRelease } = require('./gitee');
+const core = require('@actions/core');
+const path = require('path');
+const { publishRelease } = require('./driver');
 
-// Export platform-specific release publishing functions for external module invocation
-module.exports = {
+// Built-in platform adapters, keyed by the name used in the 'platforms' input
+const builtinAdapters = {
     /**
      * Publish a software release to the GitHub platform.
      */
-    github: publishGitHubRelease,
-    
+    github: require('./github'),
+
     /**
      * Publish a software release to the Gitee platform.
      */
-    gitee: publishGiteeRelease
+    gitee: require('./gitee'),
+
+    /**
+     * Publish a software release to a GitLab project (gitlab.com or self-managed).
+     */
+    gitlab: require('./gitlab'),
+
+    /**
+     * Publish a software release to a Gitea or Forgejo instance (e.g., Codeberg).
+     */
+    gitea: require('./gitea')
+};
+
+// Functions every adapter must export (checkAccess, tagExists, getTagCommit, syncGitRefs, getDownloadOptions, getAssetDownloadUrl,
+// listReleases, deleteRelease, deleteTag and the maxAssetSize and supportsDrafts properties are optional)
+const REQUIRED_ADAPTER_METHODS = [
+    'readConfig',
+    'validateConfig',
+    'getRelease',
+    'createOrUpdateRelease',
+    'listAssets',
+    'uploadAsset',
+    'deleteAsset'
+];
+
+/**
+ * Checks whether an entry of the 'platforms' input refers to a custom adapter module rather
+ * than a built-in platform name.
+ *
+ * @param {string} entry - Entry of the 'platforms' input
+ * @returns {boolean} True if the entry is a relative module path (e.g., "./ci/adapter.js")
+ */
+function isAdapterPath(entry) {
+    return entry.startsWith('./') || entry.startsWith('../') || /\.(c|m)?js$/i.test(entry);
+}
+
+/**
+ * Resolves a 'platforms' entry to its adapter.
+ *
+ * Built-in platforms are looked up by name (case-insensitive). Any other entry that looks like a
+ * module path is loaded relative to the workspace, so repositories can ship their own adapter
+ * next to the workflow that uses it.
+ *
+ * @param {string} entry - Platform name or relative path of an adapter module
+ * @param {string} [workspace] - Directory custom adapter paths are resolved against
+ *   (defaults to GITHUB_WORKSPACE, or the current directory outside of GitHub Actions)
+ * @returns {Object} The adapter
+ * @throws {Error} Throws if the platform is unknown or the module does not implement the adapter contract
+ */
+function loadAdapter(entry, workspace = process.env.GITHUB_WORKSPACE || process.cwd()) {
+    if (!isAdapterPath(entry)) {
+        const adapter = builtinAdapters[entry.toLowerCase()];
+        if (!adapter) {
+            throw new Error(`Unsupported platform: ${entry}. Please check your 'platforms' input parameter and ensure it contains only supported values (${Object.keys(builtinAdapters).join(', ')}) or paths of adapter modules.`);
+        }
+        return adapter;
+    }
+
+    const modulePath = path.resolve(workspace, entry);
+    core.info(`Loading custom platform adapter from ${modulePath}`);
+    let adapter;
+    try {
+        adapter = require(modulePath);
+    } catch (error) {
+        throw new Error(`Failed to load custom platform adapter "${entry}": ${error.message}`);
+    }
+
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+        throw new Error(`Custom platform adapter "${entry}" must export a non-empty 'name'`);
+    }
+    const missingMethods = REQUIRED_ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missingMethods.length > 0) {
+        throw new Error(`Custom platform adapter "${entry}" does not implement the required function(s): ${missingMethods.join(', ')}`);
+    }
+    if (builtinAdapters[adapter.name]) {
+        throw new Error(`Custom platform adapter "${entry}" uses the name of the built-in platform "${adapter.name}"`);
+    }
+
+    return adapter;
+}
+
+/**
+ * Returns the input reader passed to an adapter's readConfig(): reading key "token" returns the
+ * value of the "<name>-token" input.
+ *
+ * @param {string} name - Adapter name used as the input prefix
+ * @param {Function} [getInput] - Reader of the run's inputs (defaults to the action inputs)
+ * @returns {Function} Function mapping an input key to its (trimmed, possibly empty) value
+ */
+function createInputReader(name, getInput = input => core.getInput(input)) {
+    return key => getInput(`${name}-${key}`);
+}
+
+module.exports = {
+    builtinAdapters,
+    loadAdapter,
+    createInputReader,
+    publishRelease
 };
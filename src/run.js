@@ -0,0 +1,838 @@
+/**
+ * Release synchronization workflow of Release Sync, shared by the GitHub Action (./index.js) and
+ * the command line interface (./cli.js).
+ * It synchronizes software releases across specified platforms (GitHub/Gitee/GitLab/Gitea)
+ * with consistent release metadata and attached assets.
+ * 
+ * Dependencies:
+ * - @actions/core: GitHub Actions core library for logging and status handling
+ * - ./platforms: Platform-specific release implementation modules (GitHub/Gitee/GitLab/Gitea)
+ * - ./utils/fileHandler: Utility functions for resolving asset file paths
+ */
+
+// Import required modules
+const core = require('@actions/core');
+const { loadAdapter, createInputReader, publishRelease } = require('./platforms');
+const { parseAssetSpec, resolveAssetSpec, filterPlatformAssets } = require('./utils/assetSpec');
+const { SOURCE_PLATFORMS, loadSourceRelease } = require('./utils/releaseSource');
+const { configureRetry } = require('./utils/retry');
+const { CHECKSUM_MANIFESTS, VERIFY_MODES, generateChecksumManifests } = require('./utils/checksum');
+const { ASSET_CONFLICT_POLICIES, ASSET_COMPARE_MODES, findDuplicateAssetNames } = require('./utils/assetConflict');
+const { buildSyncReport, writeJobSummary, writeReportFile } = require('./utils/report');
+const { loadConfigFile, createTargetInputReader, findUnknownSettings, filterTargetAssets } = require('./utils/config');
+const { RELEASE_BODY_MODES, resolveReleaseBody } = require('./utils/releaseNotes');
+const { hasPlaceholders, getReleaseVariables, renderAssetNames, computeAssetChecksums, getPlatformVariables, renderReleaseText } = require('./utils/template');
+const { OVERSIZE_STRATEGIES, parseSize, applyAssetSizeLimit } = require('./utils/oversize');
+const { cleanupReleases } = require('./utils/cleanup');
+const { PUBLISH_STRATEGIES, getStagedRelease, promoteStagedReleases } = require('./utils/staging');
+const { FAILURE_POLICIES, createJournal, rollbackJournal } = require('./utils/journal');
+const { formatBytes } = require('./utils/fileHandler');
+const { getRequiredInput, getBooleanInput } = require('./utils/input');
+const os = require('os');
+const path = require('path');
+
+// Supported strategies for handling a release that already exists for the tag
+const RELEASE_MODES = ['create', 'update', 'upsert', 'skip-if-exists'];
+
+// Supported policies for an existing tag that points to another commit than the one being released
+const TAG_MISMATCH_POLICIES = ['fail', 'warn'];
+
+/**
+ * Logs an aggregated asset summary for every platform that completed synchronization.
+ *
+ * @param {Object} platformResults - Map of platform name to its { release, assets } result
+ */
+function logPlatformSummaries(platformResults) {
+    for (const [platform, result] of Object.entries(platformResults)) {
+        const assets = (result && result.assets) || [];
+        const countByStatus = status => assets.filter(asset => asset.status === status).length;
+        core.info(`[${platform.toUpperCase()}] Asset summary - Uploaded: ${countByStatus('uploaded')}, Skipped: ${countByStatus('skipped')}, Failed: ${countByStatus('failed')}`);
+    }
+}
+
+/**
+ * Exposes release IDs, release URLs and asset download links as action outputs.
+ *
+ * Sets "<platform>-release-id" and "<platform>-release-url" for every platform that completed
+ * synchronization, plus "assets": a JSON map of platform to { asset name: download URL }.
+ *
+ * @param {Object} platformResults - Map of platform name to its { id, url, assets } result
+ * @param {Function} setOutput - Sets an output (name, value)
+ */
+function setPlatformOutputs(platformResults, setOutput) {
+    const assetLinks = {};
+
+    for (const [platform, result] of Object.entries(platformResults)) {
+        if (!result) {
+            continue;
+        }
+
+        setOutput(`${platform}-release-id`, result.id ? String(result.id) : '');
+        setOutput(`${platform}-release-url`, result.url || '');
+
+        assetLinks[platform] = {};
+        for (const asset of result.assets) {
+            if (asset.url && asset.status !== 'failed') {
+                assetLinks[platform][asset.name] = asset.url;
+            }
+        }
+        core.info(`[${platform.toUpperCase()}] Outputs set - Release ID: ${result.id}, Release URL: ${result.url}, Asset Links: ${Object.keys(assetLinks[platform]).length}`);
+    }
+
+    setOutput('assets', JSON.stringify(assetLinks));
+}
+
+/**
+ * Executes the release synchronization workflow.
+ * Handles input validation, platform pre-checks, and sequential release execution.
+ * Catches and reports any errors that occur during the workflow (the process exit code is set
+ * through core.setFailed()).
+ *
+ * Inputs are read through getInput, so the workflow runs with the action inputs as well as with
+ * the options of the command line interface. Input names are those of action.yml.
+ *
+ * @async
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.getInput] - Returns the trimmed value of an input, or an empty string if it is not set
+ *   (defaults to the action inputs)
+ * @param {Function} [options.setOutput] - Sets an output (name, value) (defaults to the action outputs)
+ */
+async function run({
+    getInput = name => core.getInput(name),
+    setOutput = (name, value) => core.setOutput(name, value)
+} = {}) {
+    const startedAt = Date.now();
+
+    try {
+        // ******************************************
+        // Step 1: Retrieve and process input parameters
+        // ******************************************
+        core.info('Starting to retrieve and process input parameters...');
+        
+        // Parse and sanitize target platforms for release synchronization (built-in names or paths of custom adapter modules)
+        const platformEntries = getRequiredInput(getInput, 'platforms')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+        
+        core.info(`Successfully parsed target platforms: ${platformEntries.join(', ')}`);
+
+        // Retrieve mandatory release metadata
+        let tag = getRequiredInput(getInput, 'tag');
+        let releaseName = getRequiredInput(getInput, 'release-name');
+        core.info(`Mandatory release metadata retrieved - Tag: ${tag}, Release Name: ${releaseName}`);
+
+        // Retrieve optional release metadata with default values
+        let body = getInput('release-body') || '';
+        let draft = getBooleanInput(getInput, 'draft');
+        let prerelease = getBooleanInput(getInput, 'prerelease');
+        core.info(`Optional release metadata processed - Draft: ${draft}, Pre-release: ${prerelease}, Release Body Length: ${body.length} characters`);
+
+        // Determine how an already existing release for the tag should be handled
+        const releaseMode = (getInput('release-mode') || 'upsert').trim().toLowerCase();
+        if (!RELEASE_MODES.includes(releaseMode)) {
+            const errorMessage = `Invalid release mode: ${releaseMode}. Supported values are: ${RELEASE_MODES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Release mode resolved: ${releaseMode}`);
+
+        // Determine how an existing tag that points to another commit is handled
+        const tagMismatch = (getInput('tag-mismatch') || 'fail').trim().toLowerCase();
+        if (!TAG_MISMATCH_POLICIES.includes(tagMismatch)) {
+            const errorMessage = `Invalid tag mismatch policy: ${tagMismatch}. Supported values are: ${TAG_MISMATCH_POLICIES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Tag mismatch policy resolved: ${tagMismatch}`);
+
+        // Determine where the release body comes from (defaults to the release body file if one is given)
+        const releaseBodyFile = getInput('release-body-file');
+        const releaseBodyMode = (getInput('release-body-mode') || (releaseBodyFile ? 'file' : 'static')).trim().toLowerCase();
+        const previousTag = getInput('previous-tag');
+        if (!RELEASE_BODY_MODES.includes(releaseBodyMode)) {
+            const errorMessage = `Invalid release body mode: ${releaseBodyMode}. Supported values are: ${RELEASE_BODY_MODES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        if (releaseBodyMode === 'file' && !releaseBodyFile) {
+            const errorMessage = `Release body mode is file, but no file is given. Please provide the 'release-body-file' input parameter.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Release body mode resolved: ${releaseBodyMode}${releaseBodyFile ? `, Release Body File: ${releaseBodyFile}` : ''}${previousTag ? `, Previous Tag: ${previousTag}` : ''}`);
+
+        // Determine whether releases are visible at once or only after every platform has all of its assets
+        const publishStrategy = (getInput('publish-strategy') || 'direct').trim().toLowerCase();
+        if (!PUBLISH_STRATEGIES.includes(publishStrategy)) {
+            const errorMessage = `Invalid publish strategy: ${publishStrategy}. Supported values are: ${PUBLISH_STRATEGIES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Publish strategy resolved: ${publishStrategy}`);
+
+        // Determine whether the changes of the run are undone when a platform fails (staged releases are rolled back by default)
+        const onFailure = (getInput('on-failure') || (publishStrategy === 'staged' ? 'rollback' : 'keep')).trim().toLowerCase();
+        if (!FAILURE_POLICIES.includes(onFailure)) {
+            const errorMessage = `Invalid on-failure policy: ${onFailure}. Supported values are: ${FAILURE_POLICIES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Failure policy resolved: ${onFailure}`);
+
+        // Configure how often transient API failures (5xx, 429, rate limits, network resets) are retried
+        const maxRetriesInput = getInput('max-retries') || '3';
+        const maxRetries = Number(maxRetriesInput);
+        if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+            const errorMessage = `Invalid max retries: ${maxRetriesInput}. Please provide a non-negative integer.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        configureRetry({ maxRetries });
+        core.info(`Retry policy configured - Max Retries: ${maxRetries}`);
+
+        // Determine how many platforms and assets per platform are processed at the same time
+        const concurrencyInput = getInput('concurrency') || '1';
+        const concurrency = Number(concurrencyInput);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            const errorMessage = `Invalid concurrency: ${concurrencyInput}. Please provide a positive integer.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+
+        // Resolve asset files to be attached to the release (exclusions, renames, platform filters and archives)
+        const assetInput = getInput('asset-files');
+        let assetSpec;
+        try {
+            assetSpec = await resolveAssetSpec(parseAssetSpec(assetInput));
+        } catch (error) {
+            core.error(error.message);
+            core.setFailed(error.message);
+            return;
+        }
+        let assetFiles = assetSpec.files;
+        if (assetFiles.length > 0) {
+            core.debug(`Resolved asset file paths: ${assetFiles.join(', ')}`);
+        }
+
+        // Optional template for the asset names on the release (e.g., "{{ stem }}-{{ version }}{{ ext }}")
+        const assetNameTemplate = getInput('asset-name-template');
+        if (assetNameTemplate) {
+            core.info(`Asset name template configured: ${assetNameTemplate}`);
+        }
+
+        // Determine how assets whose name already exists on a release should be handled
+        const assetConflict = (getInput('asset-conflict') || 'replace').trim().toLowerCase();
+        const assetCompare = (getInput('asset-compare') || 'name').trim().toLowerCase();
+        if (!ASSET_CONFLICT_POLICIES.includes(assetConflict)) {
+            const errorMessage = `Invalid asset conflict policy: ${assetConflict}. Supported values are: ${ASSET_CONFLICT_POLICIES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        if (!ASSET_COMPARE_MODES.includes(assetCompare)) {
+            const errorMessage = `Invalid asset compare mode: ${assetCompare}. Supported values are: ${ASSET_COMPARE_MODES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Asset conflict handling resolved - Policy: ${assetConflict}, Compare Mode: ${assetCompare}`);
+
+        // Determine how assets larger than the size limit of a platform are handled
+        const oversizeStrategy = (getInput('oversize-strategy') || 'fail').trim().toLowerCase();
+        if (!OVERSIZE_STRATEGIES.includes(oversizeStrategy)) {
+            const errorMessage = `Invalid oversize strategy: ${oversizeStrategy}. Supported values are: ${OVERSIZE_STRATEGIES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Oversize strategy resolved: ${oversizeStrategy}`);
+
+        // Determine which checksum manifests to upload and how uploaded assets are verified
+        const checksumManifests = getInput('checksum-manifest')
+            .split(',')
+            .map(item => item.trim().toLowerCase())
+            .filter(Boolean);
+        const unsupportedManifests = checksumManifests.filter(format => !CHECKSUM_MANIFESTS[format]);
+        if (unsupportedManifests.length > 0) {
+            const errorMessage = `Invalid checksum manifest format(s): ${unsupportedManifests.join(', ')}. Supported values are: ${Object.keys(CHECKSUM_MANIFESTS).join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        const verifyAssets = (getInput('verify-assets') || 'none').trim().toLowerCase();
+        if (!VERIFY_MODES.includes(verifyAssets)) {
+            const errorMessage = `Invalid asset verification mode: ${verifyAssets}. Supported values are: ${VERIFY_MODES.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+        core.info(`Checksum handling resolved - Manifests: ${checksumManifests.join(', ') || 'none'}, Verification: ${verifyAssets}`);
+
+        // Determine where the JSON report is written and whether failed asset uploads fail the step
+        const reportFile = getInput('report-file')
+            || path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'release-sync-report.json');
+        const failOnAssetError = getBooleanInput(getInput, 'fail-on-asset-error');
+        core.info(`Reporting configured - Report File: ${reportFile}, Fail On Asset Error: ${failOnAssetError}`);
+
+        // In dry-run mode every platform is only queried and the planned changes are printed
+        const dryRun = getBooleanInput(getInput, 'dry-run');
+        if (dryRun) {
+            core.info('Dry run enabled - No tag, release or asset will be created, updated or deleted');
+        }
+
+        // Determine the retention policy that removes old releases after a successful synchronization
+        const cleanup = getBooleanInput(getInput, 'cleanup');
+        let cleanupPolicy = null;
+        if (cleanup) {
+            const cleanupLimits = {};
+            for (const [key, name] of [['keepStable', 'cleanup-keep-stable'], ['keepPrereleases', 'cleanup-keep-prereleases'], ['draftMaxAge', 'cleanup-draft-max-age']]) {
+                const limitInput = getInput(name).trim();
+                const limit = Number(limitInput);
+                if (limitInput && (!Number.isInteger(limit) || limit < 0)) {
+                    const errorMessage = `Invalid ${name}: ${limitInput}. Please provide a non-negative integer.`;
+                    core.error(errorMessage);
+                    core.setFailed(errorMessage);
+                    return;
+                }
+                cleanupLimits[key] = limitInput ? limit : null;
+            }
+            if (Object.values(cleanupLimits).every(limit => limit === null)) {
+                const errorMessage = `Cleanup is enabled, but no retention rule is set. Please provide 'cleanup-keep-stable', 'cleanup-keep-prereleases' and/or 'cleanup-draft-max-age'.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+
+            cleanupPolicy = {
+                ...cleanupLimits,
+                protect: getInput('cleanup-protect').split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean),
+                deleteTags: getBooleanInput(getInput, 'cleanup-delete-tags')
+            };
+            const describeLimit = limit => (limit === null ? 'all' : limit);
+            core.info(`Release cleanup enabled - Keep Stable: ${describeLimit(cleanupPolicy.keepStable)}, Keep Pre-releases: ${describeLimit(cleanupPolicy.keepPrereleases)}, Draft Max Age: ${cleanupPolicy.draftMaxAge === null ? 'none' : `${cleanupPolicy.draftMaxAge} day(s)`}, Protected Tags: ${cleanupPolicy.protect.join(', ') || 'none'}, Delete Tags: ${cleanupPolicy.deleteTags}`);
+        }
+
+        // Retrieve the optional source release to mirror instead of publishing local files only
+        const sourcePlatform = getInput('source-platform').trim().toLowerCase();
+        const sourceTag = getInput('source-tag') || tag;
+        if (sourcePlatform) {
+            core.info(`Source mode enabled - Release "${sourceTag}" will be mirrored from platform: ${sourcePlatform}`);
+        }
+
+        // ******************************************
+        // Step 2: Validate platform requirements and dependencies
+        // ******************************************
+        core.info('Starting platform requirement validation...');
+        
+        // Read the release targets from the config file, or use one target per entry of the 'platforms' input
+        const configFile = getInput('config-file');
+        let targetSpecs;
+        if (configFile) {
+            try {
+                targetSpecs = await loadConfigFile(configFile);
+            } catch (error) {
+                core.error(error.message);
+                core.setFailed(error.message);
+                return;
+            }
+            core.info(`Release targets are read from the config file - The 'platforms' input parameter is ignored`);
+        } else {
+            targetSpecs = platformEntries.map(entry => ({ id: null, platform: entry, tokenEnv: null, assets: [], overrides: {}, settings: {} }));
+        }
+
+        // Resolve every target to its adapter and read its configuration (config file settings, then "<platform>-*" inputs)
+        const targets = {};
+        for (const spec of targetSpecs) {
+            let adapter;
+            try {
+                adapter = loadAdapter(spec.platform);
+            } catch (error) {
+                core.error(error.message);
+                core.setFailed(error.message);
+                return;
+            }
+
+            const id = spec.id || adapter.name;
+            if (targets[id]) {
+                const errorMessage = configFile
+                    ? `Target ${id} is specified more than once in config file ${configFile}. Please give every target a unique 'id'.`
+                    : `Platform ${id} is specified more than once in the 'platforms' input parameter.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+
+            // Validate the platform-specific configuration
+            const inputReader = createInputReader(adapter.name, getInput);
+            const readKeys = new Set();
+            const targetInputReader = configFile ? createTargetInputReader(spec, inputReader, readKeys) : inputReader;
+            let config;
+            let problems;
+            try {
+                config = adapter.readConfig(targetInputReader);
+                problems = adapter.validateConfig(config);
+            } catch (error) {
+                // readConfig() throws for malformed settings (e.g., an invalid boolean)
+                problems = [error.message];
+            }
+            if (problems.length > 0) {
+                const errorMessage = configFile
+                    ? `Target ${id} (${adapter.name}) in config file ${configFile} is invalid: ${problems.join(' ')}`
+                    : `${adapter.name} platform is specified, but its configuration is invalid: ${problems.join(' ')}`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+
+            // Release name/body of the config file target take precedence over the "<platform>-release-name/-body" inputs
+            const overrides = {
+                ...spec.overrides,
+                releaseName: spec.overrides.releaseName ?? (inputReader('release-name') || undefined),
+                body: spec.overrides.body ?? (inputReader('release-body') || undefined)
+            };
+
+            // Size limit of a single asset: the "<platform>-max-asset-size" input, otherwise the adapter's limit ("0" disables the check)
+            const maxAssetSizeInput = (targetInputReader('max-asset-size') || '').trim();
+            const maxAssetSize = maxAssetSizeInput ? parseSize(maxAssetSizeInput) : (adapter.maxAssetSize || null);
+            if (maxAssetSize === null && maxAssetSizeInput) {
+                const errorMessage = `Invalid max asset size for target ${id}: ${maxAssetSizeInput}. Please provide a size in bytes or with a unit (e.g., 100MB, 2GB), or 0 for no limit.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+            if (maxAssetSize) {
+                core.info(`[${id.toUpperCase()}] Asset size limit: ${formatBytes(maxAssetSize)}`);
+            }
+
+            // A setting that was never read is most likely a typo, so it is rejected instead of ignored
+            const unknownSettings = configFile ? findUnknownSettings(spec, readKeys) : [];
+            if (unknownSettings.length > 0) {
+                const errorMessage = `Target ${id} (${adapter.name}) in config file ${configFile} is invalid: Unknown setting(s) ${unknownSettings.map(key => `'${key}'`).join(', ')} - the ${adapter.name} platform reads: ${[...readKeys].join(', ')}.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+
+            targets[id] = { adapter, config, overrides, assetPatterns: spec.assets, maxAssetSize };
+        }
+
+        // Results, outputs and the report are keyed by target id (the platform name unless a config file sets ids)
+        let syncPlatforms = Object.keys(targets);
+
+        // A "platforms" option of 'asset-files' naming no target is most likely a typo
+        const targetNames = Object.entries(targets).flatMap(([id, { adapter }]) => [id.toLowerCase(), adapter.name.toLowerCase()]);
+        const unknownAssetPlatforms = [...new Set(Object.values(assetSpec.platforms).flat())].filter(name => !targetNames.includes(name));
+        if (unknownAssetPlatforms.length > 0) {
+            core.warning(`The 'asset-files' input parameter limits assets to platform(s) that are not synchronized: ${unknownAssetPlatforms.join(', ')}`);
+        }
+
+        // Validate the source platform when mirroring an existing release
+        if (sourcePlatform && !SOURCE_PLATFORMS.includes(sourcePlatform)) {
+            const errorMessage = `Unsupported source platform: ${sourcePlatform}. Supported values are: ${SOURCE_PLATFORMS.join(', ')}.`;
+            core.error(errorMessage);
+            core.setFailed(errorMessage);
+            return;
+        }
+
+        core.info('All platform requirements and dependencies validated successfully - No issues found');
+
+        // ******************************************
+        // Step 3: Load the source release when mirroring from another platform
+        // ******************************************
+        let sourceTarget = null;
+        if (sourcePlatform) {
+            core.info(`Starting to load source release from platform: ${sourcePlatform.toUpperCase()}`);
+
+            // Default the source repository and token to the ones configured for the same platform
+            const sourceDefaults = loadAdapter(sourcePlatform).readConfig(createInputReader(sourcePlatform, getInput));
+            const sourceRepository = {
+                token: getInput('source-token') || sourceDefaults.token,
+                owner: getInput('source-owner') || sourceDefaults.owner,
+                repo: getInput('source-repo') || sourceDefaults.repo,
+                apiUrl: sourceDefaults.apiUrl
+            };
+
+            if (!sourceRepository.token || !sourceRepository.owner || !sourceRepository.repo) {
+                const errorMessage = `Source platform ${sourcePlatform} is specified, but its token, owner or repository could not be determined. Please provide 'source-token', 'source-owner' and 'source-repo' or the matching ${sourcePlatform} inputs.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+
+            sourceTarget = { adapter: loadAdapter(sourcePlatform), config: { ...sourceDefaults, ...sourceRepository } };
+            const sourceRelease = await loadSourceRelease({
+                platform: sourcePlatform,
+                tag: sourceTag,
+                ...sourceRepository
+            });
+
+            // Mirror the source release metadata and publish its assets alongside any local ones
+            tag = sourceRelease.tag;
+            releaseName = sourceRelease.releaseName;
+            body = sourceRelease.body;
+            draft = sourceRelease.draft;
+            prerelease = sourceRelease.prerelease;
+            assetFiles = [...sourceRelease.assetFiles, ...assetFiles];
+            core.info(`Source release loaded - Tag: ${tag}, Release Name: ${releaseName}, Total files to attach: ${assetFiles.length}`);
+
+            // A platform cannot mirror a release onto the very repository it was read from
+            const sourceFullName = `${sourceRepository.owner}/${sourceRepository.repo}`.toLowerCase();
+            syncPlatforms = syncPlatforms.filter(platform => {
+                const { adapter, config } = targets[platform];
+                const isSource = adapter.name === sourcePlatform && `${config.owner}/${config.repo}`.toLowerCase() === sourceFullName;
+                if (isSource) {
+                    core.warning(`Skipping platform ${platform} - It is the source of the mirrored release (${sourceFullName})`);
+                }
+                return !isSource;
+            });
+
+            if (releaseBodyMode !== 'static') {
+                core.warning(`Release body mode ${releaseBodyMode} is ignored in source mode - The body of the source release is mirrored`);
+            }
+        }
+
+        // Resolve the commit being released: the commit of the tag in the source repository (the
+        // GitHub repository, or the source of a mirrored release), or the workflow's commit if the
+        // GitHub tag does not exist yet. Existing tags are checked against it, and missing tags are
+        // created from it on every platform instead of from a branch head that may have moved on.
+        const { adapter: commitAdapter, config: commitConfig } = sourceTarget
+            || { adapter: loadAdapter('github'), config: loadAdapter('github').readConfig(createInputReader('github', getInput)) };
+        let tagCommit = null;
+        try {
+            // Outside of GitHub Actions the GitHub repository may not be configured at all
+            const canResolve = commitAdapter.getTagCommit && commitConfig.token && commitConfig.owner && commitConfig.repo;
+            tagCommit = canResolve ? await commitAdapter.getTagCommit(commitConfig, tag) : null;
+        } catch (error) {
+            core.warning(`Failed to resolve the commit of ${commitAdapter.displayName} tag "${tag}": ${error.message}`);
+        }
+        if (tagCommit) {
+            core.info(`Tag "${tag}" points to commit ${tagCommit} on ${commitAdapter.displayName} (${commitConfig.owner}/${commitConfig.repo})`);
+        } else if (!sourceTarget && process.env.GITHUB_SHA) {
+            tagCommit = process.env.GITHUB_SHA;
+            core.info(`Tag "${tag}" does not exist on GitHub yet - Releasing the workflow commit ${tagCommit}`);
+        } else {
+            core.warning(`The commit of tag "${tag}" could not be determined - Existing tags are not checked`);
+        }
+        // Every platform creates a missing tag at this commit, unless its target-commitish is set
+        for (const { config } of Object.values(targets)) {
+            if (tagCommit && 'targetCommitish' in config && !config.targetCommitish) {
+                config.targetCommitish = tagCommit;
+            }
+        }
+
+        if (!sourceTarget && releaseBodyMode !== 'static') {
+            // Produce the release body once, so every platform receives the same notes
+            core.info(`Starting to produce the release body (Mode: ${releaseBodyMode})...`);
+            try {
+                body = await resolveReleaseBody({
+                    mode: releaseBodyMode,
+                    body,
+                    file: releaseBodyFile,
+                    tag,
+                    previousTag,
+                    tagCommit,
+                    githubConfig: releaseBodyMode === 'file' ? null : loadAdapter('github').readConfig(createInputReader('github', getInput))
+                });
+            } catch (error) {
+                const errorMessage = `Failed to produce the release body (Mode: ${releaseBodyMode}): ${error.message}`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+            core.info(`Release body produced - Release Body Length: ${body.length} characters`);
+        }
+
+        // Render the asset names once, so the names are the same on every platform and in the checksum manifests
+        const releaseVariables = getReleaseVariables(tag);
+        let assetNames = {};
+        if (assetNameTemplate || Object.keys(assetSpec.names).length > 0) {
+            try {
+                assetNames = renderAssetNames(assetNameTemplate, assetFiles, releaseVariables, { explicitNames: assetSpec.names, platforms: assetSpec.platforms });
+            } catch (error) {
+                core.error(error.message);
+                core.setFailed(error.message);
+                return;
+            }
+            for (const [filePath, name] of Object.entries(assetNames)) {
+                if (name !== path.basename(filePath)) {
+                    core.info(`Asset ${filePath} will be published as: ${name}`);
+                }
+            }
+        }
+
+        // Generate checksum manifests of the final asset list so they are uploaded alongside the assets
+        if (checksumManifests.length > 0 && assetFiles.length > 0) {
+            const manifestFiles = await generateChecksumManifests(assetFiles, checksumManifests, assetNames);
+            assetFiles = [...assetFiles, ...manifestFiles];
+            core.info(`Checksum manifest(s) added to the release assets - Total files to attach: ${assetFiles.length}`);
+        }
+
+        // Files with the same asset name cannot both be attached to a release, so they fail the run before anything is published
+        for (const platform of syncPlatforms) {
+            const { adapter, assetPatterns } = targets[platform];
+            const targetAssetFiles = filterTargetAssets(filterPlatformAssets(assetFiles, assetSpec.platforms, [platform, adapter.name]), assetPatterns);
+            const duplicates = Object.entries(findDuplicateAssetNames(targetAssetFiles, assetNames));
+            if (duplicates.length > 0) {
+                const errorMessage = `Several asset files would be uploaded to platform ${platform} under the same name: ${duplicates.map(([name, files]) => `"${name}" (${files.join(', ')})`).join('; ')}. Please give them distinct names with "=>" in 'asset-files' or with 'asset-name-template'.`;
+                core.error(errorMessage);
+                core.setFailed(errorMessage);
+                return;
+            }
+        }
+
+        // Asset checksums are only computed when a release name or body template refers to them
+        const releaseTexts = [releaseName, body, ...Object.values(targets).flatMap(({ overrides }) => [overrides.releaseName, overrides.body])];
+        const assetChecksums = releaseTexts.some(text => /\{\{\s*(sha256|assets)\b/.test(text || ''))
+            ? await computeAssetChecksums(assetFiles, assetNames)
+            : {};
+
+        // ******************************************
+        // Step 4: Execute release synchronization for each target platform
+        // ******************************************
+        core.info(`Starting release synchronization process for target platforms (Concurrency: ${concurrency})...`);
+
+        // Every mutation is recorded when it may have to be rolled back, and old releases are only
+        // removed once it is certain that the run is not rolled back (deleted releases cannot be restored)
+        const journal = onFailure === 'rollback' && !dryRun ? createJournal() : null;
+        const deferCleanup = publishStrategy === 'staged' || journal !== null;
+
+        // Publish the release to a single target through its adapter and return its { id, url, release, assets } result
+        const publishToPlatform = async (platform) => {
+            core.info(`Processing release synchronization for platform: ${platform.toUpperCase()}`);
+            const { adapter, config, overrides, assetPatterns, maxAssetSize } = targets[platform];
+
+            // Apply the "platforms" options of 'asset-files', then the target's asset filter and release metadata overrides from the config file
+            const platformAssetFiles = filterPlatformAssets(assetFiles, assetSpec.platforms, [platform, adapter.name]);
+            if (platformAssetFiles.length < assetFiles.length) {
+                core.info(`[${platform.toUpperCase()}] ${assetFiles.length - platformAssetFiles.length} asset file(s) are limited to other platforms`);
+            }
+            const targetAssetFiles = filterTargetAssets(platformAssetFiles, assetPatterns);
+            if (assetPatterns.length > 0) {
+                core.info(`[${platform.toUpperCase()}] Asset filter ${JSON.stringify(assetPatterns)} selected ${targetAssetFiles.length} of ${platformAssetFiles.length} file(s)`);
+            }
+
+            // Check the asset sizes before any API call, so an oversized asset never leaves a half-published release
+            const { assetFiles: uploadFiles, oversizeAssets } = await applyAssetSizeLimit({
+                label: adapter.displayName || adapter.name,
+                assetFiles: targetAssetFiles,
+                assetNames,
+                limit: maxAssetSize,
+                strategy: oversizeStrategy,
+                dryRun
+            });
+
+            // Render the release name and body templates with this platform's variables (e.g., its download URLs)
+            let targetReleaseName = overrides.releaseName ?? releaseName;
+            let targetBody = overrides.body ?? body;
+            if (hasPlaceholders(targetReleaseName) || hasPlaceholders(targetBody)) {
+                const variables = getPlatformVariables({
+                    releaseVariables,
+                    platform,
+                    adapter,
+                    config,
+                    tag,
+                    assetNames: uploadFiles.map(filePath => assetNames[filePath] || path.basename(filePath)),
+                    checksums: assetChecksums
+                });
+                targetReleaseName = renderReleaseText(targetReleaseName, variables, `[${platform.toUpperCase()}] Release name`);
+                targetBody = renderReleaseText(targetBody, variables, `[${platform.toUpperCase()}] Release body`);
+            }
+
+            // A staged release is published as a draft (or placeholder) first and completed once every platform has all of its assets
+            const finalRelease = {
+                releaseName: targetReleaseName,
+                body: targetBody,
+                draft: overrides.draft ?? draft,
+                prerelease: overrides.prerelease ?? prerelease
+            };
+            let staging = null;
+            let publishedRelease = finalRelease;
+            if (publishStrategy === 'staged') {
+                const previousRelease = dryRun ? null : await adapter.getRelease(config, tag);
+                staging = { final: finalRelease };
+
+                if (!previousRelease) {
+                    publishedRelease = getStagedRelease(adapter, finalRelease);
+                    core.info(`[${platform.toUpperCase()}] Staging the release ${adapter.supportsDrafts ? 'as a draft' : 'as a placeholder pre-release (the platform has no drafts)'}`);
+                } else if (releaseMode === 'skip-if-exists') {
+                    // The existing release is left untouched, so there is nothing to publish later
+                    staging = null;
+                } else {
+                    // A release that is already public is not hidden again: it keeps its current metadata until publication
+                    publishedRelease = {
+                        releaseName: previousRelease.name,
+                        body: previousRelease.body,
+                        draft: Boolean(previousRelease.draft),
+                        prerelease: Boolean(previousRelease.prerelease)
+                    };
+                    core.info(`[${platform.toUpperCase()}] Keeping the current metadata of the existing release until every platform has all of its assets`);
+                }
+            }
+
+            // Bring the platform's git repository up to date first, if the target is configured to (e.g., gitee-push)
+            if (adapter.syncGitRefs) {
+                await adapter.syncGitRefs(config, { tag, commit: tagCommit, dryRun, journal: journal && journal.forPlatform(platform) });
+            }
+
+            const result = await publishRelease(adapter, config, {
+                tag,
+                ...publishedRelease,
+                releaseMode,
+                assetConflict,
+                assetCompare,
+                assetFiles: uploadFiles,
+                assetNames,
+                concurrency,
+                verifyAssets,
+                dryRun,
+                journal: journal && journal.forPlatform(platform),
+                tagCommit,
+                tagMismatch
+            });
+            core.info(`Successfully completed release synchronization for ${adapter.displayName || adapter.name} platform (Target: ${platform}, Tag: ${tag})`);
+
+            // Skipped and split assets are reported alongside the uploaded ones
+            result.assets = [...oversizeAssets, ...result.assets];
+
+            // Old releases are only removed once the new release is complete (for staged releases, after publication)
+            if (publishStrategy === 'staged') {
+                result.staging = staging;
+            }
+            if (!deferCleanup) {
+                await cleanupPlatform(platform, result);
+            }
+            return result;
+        };
+
+        // Apply the retention policy to a target whose new release is complete
+        const cleanupPlatform = async (platform, result) => {
+            if (!cleanupPolicy) {
+                return;
+            }
+            const { adapter, config, overrides } = targets[platform];
+            if (result.assets.some(asset => asset.status === 'failed')) {
+                core.warning(`[${platform.toUpperCase()}] Skipping release cleanup because not every asset was synchronized`);
+                return;
+            }
+            result.cleanup = await cleanupReleases(adapter, config, {
+                policy: cleanupPolicy,
+                current: { tag, draft: overrides.draft ?? draft, prerelease: overrides.prerelease ?? prerelease },
+                dryRun
+            });
+        };
+
+        // Platforms run one after another by default, or all at once when concurrency is raised
+        const platformResults = {};
+        const platformErrors = {};
+        if (concurrency > 1) {
+            const settledResults = await Promise.allSettled(syncPlatforms.map(publishToPlatform));
+            settledResults.forEach((settled, index) => {
+                if (settled.status === 'fulfilled') {
+                    platformResults[syncPlatforms[index]] = settled.value;
+                } else {
+                    platformErrors[syncPlatforms[index]] = settled.reason;
+                }
+            });
+        } else {
+            for (const platform of syncPlatforms) {
+                try {
+                    platformResults[platform] = await publishToPlatform(platform);
+                } catch (error) {
+                    // Remaining platforms are not attempted (they are reported as skipped), except in a
+                    // dry run where every platform is checked so all problems are found at once
+                    platformErrors[platform] = error;
+                    if (!dryRun) {
+                        break;
+                    }
+                }
+            }
+        }
+
+        // A platform is incomplete if it failed, was not attempted or (unless allowed) has failed assets
+        const incompletePlatforms = syncPlatforms.filter(platform => platformErrors[platform] || !platformResults[platform]
+            || (failOnAssetError && platformResults[platform].assets.some(asset => asset.status === 'failed')));
+
+        // Staged releases are published only if every platform was staged completely
+        if (publishStrategy === 'staged') {
+            if (dryRun) {
+                core.info(`[PLAN] Publish the staged releases on ${Object.keys(platformResults).join(', ') || 'no platform'} once every platform has all of its assets`);
+            } else if (incompletePlatforms.length === 0) {
+                Object.assign(platformErrors, await promoteStagedReleases(targets, platformResults, tag));
+            }
+        }
+
+        // Undo the changes of the run if any platform could not be completed, otherwise run the deferred cleanup
+        const unfinishedPlatforms = dryRun ? [] : syncPlatforms.filter(platform => platformErrors[platform] || incompletePlatforms.includes(platform));
+        if (unfinishedPlatforms.length > 0 && journal) {
+            core.warning(`Rolling back the changes of this run because ${unfinishedPlatforms.join(', ')} could not be completed`);
+            const rollbackOutcomes = await rollbackJournal(journal, targets);
+            for (const platform of new Set(rollbackOutcomes.map(outcome => outcome.platform))) {
+                const keptChanges = rollbackOutcomes.filter(outcome => outcome.platform === platform && outcome.status !== 'undone').length;
+                if (!platformErrors[platform]) {
+                    platformErrors[platform] = new Error(`The release was rolled back because ${unfinishedPlatforms.join(', ')} could not be completed${keptChanges > 0 ? ` (${keptChanges} change(s) could not be undone)` : ''}`);
+                }
+                delete platformResults[platform];
+            }
+        } else if (unfinishedPlatforms.length > 0 && publishStrategy === 'staged') {
+            core.warning(`Keeping the staged releases of ${Object.keys(platformResults).join(', ') || 'no platform'} unpublished because ${unfinishedPlatforms.join(', ')} could not be completed (on-failure: keep)`);
+        } else if (deferCleanup && unfinishedPlatforms.length === 0) {
+            for (const platform of Object.keys(platformResults)) {
+                await cleanupPlatform(platform, platformResults[platform]);
+            }
+        }
+
+        logPlatformSummaries(platformResults);
+        setPlatformOutputs(platformResults, setOutput);
+
+        // Report the outcome of every platform and asset, including failures
+        const report = buildSyncReport({ tag, dryRun, platforms: syncPlatforms, platformResults, platformErrors, startedAt });
+        await writeJobSummary(report);
+        await writeReportFile(report, reportFile);
+        setOutput('report-file', reportFile);
+
+        const failedPlatforms = Object.entries(platformErrors);
+        if (failedPlatforms.length > 0) {
+            throw new Error(`Platform(s) with errors: ${failedPlatforms.map(([platform, error]) => `${platform} (${error.message})`).join(', ')}`);
+        }
+
+        const failedAssets = report.platforms.flatMap(platformReport => platformReport.assets
+            .filter(asset => asset.status === 'failed')
+            .map(asset => `${platformReport.platform}/${asset.name}`));
+        if (failedAssets.length > 0) {
+            const message = `${failedAssets.length} asset(s) ${dryRun ? 'would fail' : 'failed'} to upload: ${failedAssets.join(', ')}`;
+            if (failOnAssetError) {
+                throw new Error(message);
+            }
+            core.warning(`${message} - Not failing the step because 'fail-on-asset-error' is disabled`);
+        }
+
+        // ******************************************
+        // Workflow completion
+        // ******************************************
+        if (dryRun) {
+            core.info(`Dry run completed for all target platforms: ${syncPlatforms.join(', ')} - Review the [PLAN] lines above for the changes a real run would make`);
+        } else {
+            core.info(`Release synchronization workflow completed successfully for all target platforms: ${syncPlatforms.join(', ')}`);
+        }
+
+    } catch (error) {
+        // Catch and report any unhandled errors during the workflow
+        const errorMessage = `Release synchronization failed: ${error.message}`;
+        core.error(errorMessage);
+        core.error(`Error stack trace: ${error.stack}`);
+        core.setFailed(errorMessage);
+    }
+}
+
+module.exports = {
+    run
+};
@@ -0,0 +1,69 @@
+const core = require('@actions/core');
+const archiver = require('archiver');
+const fsExtra = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { formatBytes } = require('./fileHandler');
+
+// Supported archive formats, mapped to the archive file extension
+const ARCHIVE_FORMATS = {
+    'zip': '.zip',
+    'tar.gz': '.tar.gz'
+};
+
+/**
+ * Packs a directory into a zip or tar.gz archive.
+ *
+ * The archive contains the directory itself as its top-level folder (e.g., "docs/index.html" for
+ * the directory "build/docs"). Files are added in a stable order, so the same directory content
+ * always yields the same file list.
+ *
+ * @async
+ * @param {string} directory - Absolute path of the directory to pack
+ * @param {string} destPath - Path of the archive file to write
+ * @param {string} format - Archive format (a key of ARCHIVE_FORMATS)
+ * @param {Function} [isExcluded] - Returns true for files (absolute paths) that are left out of the archive
+ * @returns {Promise<string>} The path of the written archive
+ * @throws {Error} Throws if the directory has no files to pack or the archive cannot be written
+ */
+async function createArchive(directory, destPath, format, isExcluded = () => false) {
+    const rootName = path.basename(directory);
+    const files = glob.sync('**/*', { cwd: directory, absolute: true, nodir: true, dot: true })
+        .filter(filePath => !isExcluded(filePath))
+        .sort();
+
+    if (files.length === 0) {
+        throw new Error(`Directory ${directory} contains no files to archive`);
+    }
+
+    core.info(`Packing ${files.length} file(s) of directory "${directory}" into ${format} archive: ${destPath}`);
+    await fsExtra.ensureDir(path.dirname(destPath));
+
+    const archive = format === 'zip'
+        ? archiver('zip', { zlib: { level: 9 } })
+        : archiver('tar', { gzip: true, gzipOptions: { level: 9 } });
+    const output = fsExtra.createWriteStream(destPath);
+
+    await new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.on('warning', error => core.warning(`Archive warning for "${destPath}": ${error.message}`));
+
+        archive.pipe(output);
+        for (const filePath of files) {
+            const relativePath = path.relative(directory, filePath).split(path.sep).join('/');
+            archive.file(filePath, { name: `${rootName}/${relativePath}` });
+        }
+        archive.finalize();
+    });
+
+    const { size } = await fsExtra.stat(destPath);
+    core.info(`[Archive Created] File path: "${destPath}", File size: ${formatBytes(size)}`);
+    return destPath;
+}
+
+module.exports = {
+    ARCHIVE_FORMATS,
+    createArchive
+};
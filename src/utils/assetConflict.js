@@ -0,0 +1,156 @@
+const core = require('@actions/core');
+const path = require('path');
+const { computeFileDigest } = require('./fileHandler');
+
+// Supported policies for a local asset whose name already exists on the release
+const ASSET_CONFLICT_POLICIES = ['replace', 'skip', 'fail', 'rename'];
+
+// Supported ways of deciding whether an existing asset is identical to the local file
+const ASSET_COMPARE_MODES = ['name', 'size', 'digest'];
+
+/**
+ * Splits a file name into its stem and extension, keeping compound archive extensions
+ * such as ".tar.gz" together.
+ *
+ * @param {string} fileName - File name to split
+ * @returns {{stem: string, extension: string}} The stem and extension (extension may be empty)
+ */
+function splitFileName(fileName) {
+    const compoundMatch = fileName.match(/^(.+?)(\.tar\.[^.]+)$/i);
+    if (compoundMatch) {
+        return { stem: compoundMatch[1], extension: compoundMatch[2] };
+    }
+
+    const extension = path.extname(fileName);
+    return { stem: fileName.slice(0, fileName.length - extension.length), extension };
+}
+
+/**
+ * Generates the first "<stem>-<n><extension>" name that is not already taken.
+ *
+ * @param {string} fileName - Original asset name
+ * @param {Set<string>} takenNames - Names already present on the release or claimed in this run
+ * @returns {string} An unused asset name
+ */
+function generateAvailableName(fileName, takenNames) {
+    const { stem, extension } = splitFileName(fileName);
+    let counter = 1;
+    let candidate = `${stem}-${counter}${extension}`;
+    while (takenNames.has(candidate)) {
+        counter++;
+        candidate = `${stem}-${counter}${extension}`;
+    }
+    return candidate;
+}
+
+/**
+ * Finds local asset files that would be uploaded under the same name, which the platforms either
+ * reject or keep twice.
+ *
+ * @param {string[]} assetFiles - Paths of the asset files
+ * @param {Object} assetNames - Map of file path to its upload name (other files use their file name)
+ * @returns {Object} Map of every duplicated name to the paths of its files (empty if all names are unique)
+ */
+function findDuplicateAssetNames(assetFiles, assetNames) {
+    const filesByName = {};
+    for (const filePath of assetFiles) {
+        const name = assetNames[filePath] || path.basename(filePath);
+        (filesByName[name] = filesByName[name] || []).push(filePath);
+    }
+    return Object.fromEntries(Object.entries(filesByName).filter(([, files]) => files.length > 1));
+}
+
+/**
+ * Checks whether an existing release asset has the same content as the local file.
+ *
+ * Size is always compared first; in "digest" mode the SHA-256 digest is compared as well
+ * when the platform reports one, otherwise the size comparison is used on its own. An asset
+ * whose size and digest are both unknown (e.g., an external GitLab link) is never identical.
+ *
+ * @async
+ * @param {Object} fileInfo - Local file information ({ name, size, path })
+ * @param {Object} existingAsset - Normalized existing asset ({ name, size, digest })
+ * @param {string} compare - Compare mode ("size" or "digest")
+ * @returns {Promise<boolean>} True if the existing asset is considered identical
+ */
+async function isSameContent(fileInfo, existingAsset, compare) {
+    if (typeof existingAsset.size !== 'number' && !existingAsset.digest) {
+        core.debug(`Neither size nor digest reported for existing asset "${existingAsset.name}", treating it as different`);
+        return false;
+    }
+
+    if (typeof existingAsset.size === 'number' && existingAsset.size !== fileInfo.size) {
+        return false;
+    }
+
+    if (compare !== 'digest' && typeof existingAsset.size === 'number') {
+        return true;
+    }
+
+    if (!existingAsset.digest) {
+        core.debug(`No digest reported for existing asset "${existingAsset.name}", falling back to size comparison`);
+        return true;
+    }
+
+    const [algorithm, remoteHash] = existingAsset.digest.split(':');
+    const localHash = await computeFileDigest(fileInfo.path, algorithm);
+    return localHash === remoteHash;
+}
+
+/**
+ * Decides how a local asset should be uploaded given the assets already attached to the release.
+ *
+ * Possible actions:
+ * - "upload": no asset with the same name exists
+ * - "replace": the existing asset must be deleted before uploading
+ * - "skip": the existing asset is kept (policy "skip", or identical content when comparing by size/digest)
+ * - "rename": the local file is uploaded under a new, unused name
+ *
+ * @async
+ * @param {Object} options - Conflict resolution options
+ * @param {Object} options.fileInfo - Local file information ({ name, size, path })
+ * @param {Object[]} options.existingAssets - Normalized existing assets ({ id, name, size, digest })
+ * @param {Set<string>} options.takenNames - Asset names already present or claimed in this run, including the names
+ *   of all local assets so that renamed assets never take the name of another local file (updated in place)
+ * @param {string} options.policy - Conflict policy ("replace", "skip", "fail" or "rename")
+ * @param {string} options.compare - Compare mode ("name", "size" or "digest")
+ * @returns {Promise<{action: string, uploadName: string, existing: Object|null, reason: string}>} The upload decision
+ * @throws {Error} Throws if the policy is "fail" and a conflicting asset exists
+ */
+async function resolveAssetConflict({ fileInfo, existingAssets, takenNames, policy, compare }) {
+    const existing = existingAssets.find(asset => asset.name === fileInfo.name) || null;
+
+    if (!existing) {
+        takenNames.add(fileInfo.name);
+        return { action: 'upload', uploadName: fileInfo.name, existing: null, reason: 'no existing asset with this name' };
+    }
+
+    if (compare !== 'name' && await isSameContent(fileInfo, existing, compare)) {
+        return { action: 'skip', uploadName: fileInfo.name, existing, reason: `existing asset is identical (compared by ${compare})` };
+    }
+
+    switch (policy) {
+        case 'replace':
+            return { action: 'replace', uploadName: fileInfo.name, existing, reason: 'existing asset will be deleted and re-uploaded' };
+
+        case 'skip':
+            return { action: 'skip', uploadName: fileInfo.name, existing, reason: 'existing asset kept (asset-conflict: skip)' };
+
+        case 'rename': {
+            const uploadName = generateAvailableName(fileInfo.name, takenNames);
+            takenNames.add(uploadName);
+            return { action: 'rename', uploadName, existing, reason: `uploaded as "${uploadName}" to keep the existing asset` };
+        }
+
+        default:
+            throw new Error(`Asset "${fileInfo.name}" already exists on the release (asset-conflict: ${policy})`);
+    }
+}
+
+module.exports = {
+    ASSET_CONFLICT_POLICIES,
+    ASSET_COMPARE_MODES,
+    findDuplicateAssetNames,
+    resolveAssetConflict,
+    splitFileName
+};
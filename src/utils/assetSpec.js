@@ -0,0 +1,272 @@
+const core = require('@actions/core');
+const fsExtra = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { minimatch } = require('minimatch');
+const { resolveAssetFiles, createTempDirectory } = require('./fileHandler');
+const { ARCHIVE_FORMATS, createArchive } = require('./archive');
+
+// Options that can follow an asset entry after "|" (e.g., "dist/app.zip | platforms: github")
+const ASSET_OPTIONS = ['platforms', 'archive'];
+
+/**
+ * Checks whether a file matches an asset pattern. Patterns containing a "/" are matched against
+ * the path relative to the working directory, other patterns against the file name.
+ *
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the file matches the pattern
+ */
+function matchesAssetPattern(filePath, pattern) {
+    const subject = pattern.includes('/')
+        ? path.relative(process.cwd(), filePath).split(path.sep).join('/')
+        : path.basename(filePath);
+    return minimatch(subject, pattern, { dot: true });
+}
+
+/**
+ * Splits an asset entry into whitespace-separated tokens. Text in double or single quotes is
+ * a single token, so paths containing spaces can be written as "dist/My App.exe".
+ *
+ * @param {string} text - Asset entry
+ * @returns {Array<{value: string, quoted: boolean}>} The tokens
+ * @throws {Error} Throws if a quote is not closed
+ */
+function tokenizeAssetEntry(text) {
+    const tokens = [];
+    // Template placeholders may contain spaces ("app-{{ version }}.zip") and stay part of their token
+    const tokenPattern = /"([^"]*)"|'([^']*)'|(["'])|((?:\{\{.*?\}\}|[^\s"'])+)/g;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        if (match[3]) {
+            throw new Error(`unterminated ${match[3]} quote`);
+        }
+        const quoted = match[4] === undefined;
+        tokens.push({ value: quoted ? (match[1] ?? match[2]) : match[4], quoted });
+    }
+    return tokens;
+}
+
+/**
+ * Splits tokens at every unquoted separator token (e.g., "|").
+ *
+ * @param {Array<{value: string, quoted: boolean}>} tokens - Tokens of an asset entry
+ * @param {string} separator - Separator token
+ * @returns {Array<Array<{value: string, quoted: boolean}>>} The token groups between the separators
+ */
+function splitTokens(tokens, separator) {
+    const groups = [[]];
+    for (const token of tokens) {
+        if (!token.quoted && token.value === separator) {
+            groups.push([]);
+        } else {
+            groups[groups.length - 1].push(token);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Parses a single line of the 'asset-files' input.
+ *
+ * @param {string} line - Trimmed, non-empty line
+ * @returns {Object} The entry ({ exclude, patterns, name, platforms, archive })
+ * @throws {Error} Throws if the line is not a valid entry
+ */
+function parseAssetEntry(line) {
+    if (line.startsWith('!')) {
+        const tokens = tokenizeAssetEntry(line.slice(1));
+        if (tokens.some(token => !token.quoted && ['=>', '|'].includes(token.value))) {
+            throw new Error('exclusions cannot rename files or have options');
+        }
+        if (tokens.length === 0) {
+            throw new Error('exclusion without a pattern');
+        }
+        return { exclude: true, patterns: tokens.map(token => token.value), name: null, platforms: null, archive: null };
+    }
+
+    const [fileTokens, ...optionGroups] = splitTokens(tokenizeAssetEntry(line), '|');
+    const [patternTokens, ...nameGroups] = splitTokens(fileTokens, '=>');
+    if (patternTokens.length === 0) {
+        throw new Error('no file pattern given');
+    }
+    if (nameGroups.length > 1 || (nameGroups.length === 1 && nameGroups[0].length !== 1)) {
+        throw new Error('"=>" must be followed by exactly one asset name (quote names containing spaces)');
+    }
+
+    const entry = {
+        exclude: false,
+        patterns: patternTokens.map(token => token.value),
+        name: nameGroups.length === 1 ? nameGroups[0][0].value : null,
+        platforms: null,
+        archive: null
+    };
+    if (entry.name !== null && (!entry.name || /[\\/]/.test(entry.name))) {
+        throw new Error(`"${entry.name}" is not a valid asset name`);
+    }
+
+    for (const group of optionGroups) {
+        const option = group.map(token => token.value).join(' ').match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!option || !ASSET_OPTIONS.includes(option[1].toLowerCase())) {
+            throw new Error(`unknown option "${group.map(token => token.value).join(' ')}" (supported options: ${ASSET_OPTIONS.map(key => `${key}: ...`).join(', ')})`);
+        }
+
+        const key = option[1].toLowerCase();
+        const value = option[2].trim();
+        if (entry[key] !== null) {
+            throw new Error(`option "${key}" is given more than once`);
+        }
+
+        if (key === 'platforms') {
+            entry.platforms = value.split(/[\s,]+/).filter(Boolean).map(platform => platform.toLowerCase());
+            if (entry.platforms.length === 0) {
+                throw new Error('"platforms:" needs at least one platform');
+            }
+        } else {
+            entry.archive = value.toLowerCase();
+            if (!ARCHIVE_FORMATS[entry.archive]) {
+                throw new Error(`unsupported archive format "${value}" (supported formats: ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
+            }
+        }
+    }
+
+    if (entry.archive && entry.patterns.length !== 1) {
+        throw new Error('an archived entry must name exactly one directory');
+    }
+
+    return entry;
+}
+
+/**
+ * Parses the 'asset-files' input into asset entries.
+ *
+ * Every line is one entry; empty lines and lines starting with "#" are ignored. An entry is either
+ * an exclusion ("!<pattern>") or one or more file patterns, optionally followed by "=> <name>"
+ * to upload the file under another name and by "| <option>: <value>" options:
+ * - "platforms: gitee, github": only upload to these platforms (or config file target ids)
+ * - "archive: zip" / "archive: tar.gz": pack the directory into a single archive asset
+ *
+ * A line with only unquoted patterns separated by spaces is read as several patterns, as before.
+ *
+ * @param {string} assetInput - Value of the 'asset-files' input
+ * @returns {Object[]} The entries ({ exclude, patterns, name, platforms, archive })
+ * @throws {Error} Throws with all invalid lines if any line cannot be parsed
+ */
+function parseAssetSpec(assetInput) {
+    const entries = [];
+    const errors = [];
+
+    (assetInput || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            return;
+        }
+        try {
+            entries.push({ line: index + 1, ...parseAssetEntry(line) });
+        } catch (error) {
+            errors.push(`line ${index + 1} ("${line}"): ${error.message}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid 'asset-files' input parameter:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return entries;
+}
+
+/**
+ * Resolves parsed asset entries to the files to upload.
+ *
+ * Exclusions apply to the files of every entry and to the content of archived directories.
+ * Archives are written to a temporary directory. When several entries match the same file, the
+ * last one decides its name and platforms.
+ *
+ * @async
+ * @param {Object[]} entries - Entries returned by parseAssetSpec()
+ * @returns {Promise<{files: string[], names: Object, platforms: Object}>} The asset files (absolute paths),
+ *   a map of file path to the name given with "=>", and a map of file path to its "platforms" filter
+ * @throws {Error} Throws if a renamed or archived entry does not match exactly one file or directory
+ */
+async function resolveAssetSpec(entries) {
+    const files = [];
+    const names = {};
+    const platforms = {};
+
+    if (entries.length === 0) {
+        core.warning('Asset input is empty or undefined. No asset files will be processed or resolved.');
+        return { files, names, platforms };
+    }
+
+    const excludes = entries.filter(entry => entry.exclude).flatMap(entry => entry.patterns);
+    const isExcluded = filePath => excludes.some(pattern => matchesAssetPattern(filePath, pattern));
+    if (excludes.length > 0) {
+        core.info(`Asset exclusion pattern(s): ${JSON.stringify(excludes)}`);
+    }
+
+    let archiveDir = null;
+    for (const entry of entries.filter(candidate => !candidate.exclude)) {
+        let entryFiles;
+
+        if (entry.archive) {
+            const directories = glob.sync(entry.patterns[0], { absolute: true })
+                .filter(candidate => fsExtra.statSync(candidate).isDirectory());
+            if (directories.length !== 1) {
+                throw new Error(`Asset entry on line ${entry.line} must match exactly one directory to archive, but "${entry.patterns[0]}" matched ${directories.length}`);
+            }
+
+            archiveDir = archiveDir || await createTempDirectory('archives');
+            const archivePath = path.join(archiveDir, String(entry.line), `${path.basename(directories[0])}${ARCHIVE_FORMATS[entry.archive]}`);
+            entryFiles = [await createArchive(directories[0], archivePath, entry.archive, isExcluded)];
+        } else {
+            entryFiles = resolveAssetFiles(entry.patterns).filter(filePath => {
+                if (isExcluded(filePath)) {
+                    core.info(`[File Excluded] Asset file matches an exclusion pattern, skipped: "${filePath}"`);
+                    return false;
+                }
+                return true;
+            });
+
+            if (entry.name && entryFiles.length !== 1) {
+                throw new Error(`Asset entry on line ${entry.line} renames its file to "${entry.name}", so it must match exactly one file, but it matched ${entryFiles.length}`);
+            }
+        }
+
+        for (const filePath of entryFiles) {
+            if (!files.includes(filePath)) {
+                files.push(filePath);
+            }
+            if (entry.name) {
+                names[filePath] = entry.name;
+            }
+            if (entry.platforms) {
+                platforms[filePath] = entry.platforms;
+            } else {
+                delete platforms[filePath];
+            }
+        }
+    }
+
+    core.info(`Successfully resolved release assets - Total files to attach: ${files.length}`);
+    return { files, names, platforms };
+}
+
+/**
+ * Selects the asset files that are uploaded to a target, according to their "platforms" option.
+ *
+ * @param {string[]} assetFiles - Paths of the asset files
+ * @param {Object} assetPlatforms - Map of file path to the platforms it is limited to (files without an entry go everywhere)
+ * @param {string[]} targetNames - Names the target is known by (its id and its platform name)
+ * @returns {string[]} The asset files of the target
+ */
+function filterPlatformAssets(assetFiles, assetPlatforms, targetNames) {
+    const names = targetNames.map(name => name.toLowerCase());
+    return assetFiles.filter(filePath => !assetPlatforms[filePath] || assetPlatforms[filePath].some(platform => names.includes(platform)));
+}
+
+module.exports = {
+    matchesAssetPattern,
+    parseAssetSpec,
+    resolveAssetSpec,
+    filterPlatformAssets
+};
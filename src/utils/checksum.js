@@ -0,0 +1,182 @@
+const core = require('@actions/core');
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsExtra = require('fs-extra');
+const path = require('path');
+const { computeFileDigest, createTempDirectory } = require('./fileHandler');
+const { withRetry } = require('./retry');
+
+// Supported checksum manifest formats, mapped to the file name uploaded with the release
+const CHECKSUM_MANIFESTS = {
+    sha256sums: 'SHA256SUMS',
+    json: 'checksums.json'
+};
+
+// Supported post-upload verification modes
+const VERIFY_MODES = ['none', 'size', 'digest'];
+
+/**
+ * Computes the size, SHA-256 and SHA-512 digests of a file in a single streaming pass.
+ *
+ * @async
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<{size: number, sha256: string, sha512: string}>} The file checksums
+ */
+function computeFileChecksums(filePath) {
+    return new Promise((resolve, reject) => {
+        const sha256 = crypto.createHash('sha256');
+        const sha512 = crypto.createHash('sha512');
+        let size = 0;
+
+        fsExtra.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => {
+                size += chunk.length;
+                sha256.update(chunk);
+                sha512.update(chunk);
+            })
+            .on('end', () => resolve({ size, sha256: sha256.digest('hex'), sha512: sha512.digest('hex') }));
+    });
+}
+
+/**
+ * Writes the requested checksum manifests for the given asset files to a temporary directory.
+ *
+ * - "sha256sums": a SHA256SUMS file in the format understood by `sha256sum -c`
+ * - "json": a checksums.json file with the size, sha256 and sha512 of every asset
+ *
+ * @async
+ * @param {string[]} assetFiles - Paths of the asset files to describe
+ * @param {string[]} formats - Manifest formats to generate (keys of CHECKSUM_MANIFESTS)
+ * @param {Object} [assetNames] - Map of file path to the asset name on the release (defaults to the file name)
+ * @returns {Promise<string[]>} Paths of the generated manifest files
+ */
+async function generateChecksumManifests(assetFiles, formats, assetNames = {}) {
+    if (formats.length === 0) {
+        return [];
+    }
+
+    core.info(`Computing checksums of ${assetFiles.length} asset file(s) for manifest(s): ${formats.map(format => CHECKSUM_MANIFESTS[format]).join(', ')}`);
+    const entries = [];
+    for (const filePath of assetFiles) {
+        const checksums = await computeFileChecksums(filePath);
+        entries.push({ name: assetNames[filePath] || path.basename(filePath), ...checksums });
+        core.debug(`Checksums of "${filePath}": ${JSON.stringify(checksums)}`);
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    const manifestDir = await createTempDirectory('checksums');
+    const manifestFiles = [];
+
+    if (formats.includes('sha256sums')) {
+        const manifestPath = path.join(manifestDir, CHECKSUM_MANIFESTS.sha256sums);
+        await fs.writeFile(manifestPath, entries.map(entry => `${entry.sha256}  ${entry.name}\n`).join(''));
+        manifestFiles.push(manifestPath);
+    }
+
+    if (formats.includes('json')) {
+        const manifestPath = path.join(manifestDir, CHECKSUM_MANIFESTS.json);
+        const manifest = Object.fromEntries(entries.map(({ name, ...checksums }) => [name, checksums]));
+        await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+        manifestFiles.push(manifestPath);
+    }
+
+    core.info(`Generated checksum manifest(s): ${manifestFiles.join(', ')}`);
+    return manifestFiles;
+}
+
+/**
+ * Downloads a remote asset as a stream and computes its SHA-256 digest without storing it.
+ *
+ * @async
+ * @param {string} url - Download URL of the asset
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers (e.g., authentication)
+ * @param {Object} [options.params] - Extra query parameters (e.g., access token)
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+async function computeRemoteDigest(url, { headers = {}, params } = {}) {
+    return withRetry(async () => {
+        const response = await axios.get(url, {
+            params,
+            headers: {
+                'User-Agent': 'Release Sync',
+                ...headers
+            },
+            responseType: 'stream',
+            timeout: 300000
+        });
+
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of response.data) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }, `Verification download of "${url}"`);
+}
+
+/**
+ * Verifies that uploaded assets on a platform match the local files by size and optionally digest.
+ *
+ * Digests reported by the platform (e.g., GitHub's "sha256:<hex>") are used when available;
+ * otherwise the asset is downloaded and hashed.
+ *
+ * @async
+ * @param {Object} options - Verification options
+ * @param {string} options.platform - Platform name for log messages
+ * @param {Object[]} options.assetResults - Asset outcomes ({ file, name, status }) of the upload step
+ * @param {Object[]} options.remoteAssets - Normalized assets on the release ({ name, size, digest, downloadUrl })
+ * @param {string} options.mode - Verification mode ("size" or "digest")
+ * @param {Object} [options.downloadOptions] - Request options ({ headers, params }) for downloading assets
+ * @returns {Promise<Object[]>} Verification results ({ name, verified, reason })
+ * @throws {Error} Throws if any uploaded asset is missing or does not match
+ */
+async function verifyUploadedAssets({ platform, assetResults, remoteAssets, mode, downloadOptions }) {
+    const uploadedAssets = assetResults.filter(asset => asset.status === 'uploaded');
+    core.info(`Verifying ${uploadedAssets.length} uploaded asset(s) on ${platform} by ${mode}`);
+
+    const results = [];
+    for (const asset of uploadedAssets) {
+        const remoteAsset = remoteAssets.find(candidate => candidate.name === asset.name);
+        const localStat = await fs.stat(asset.file);
+        let reason = null;
+
+        if (!remoteAsset) {
+            reason = 'asset not found on the release after upload';
+        } else if (typeof remoteAsset.size === 'number' && remoteAsset.size !== localStat.size) {
+            reason = `size mismatch (local: ${localStat.size} bytes, remote: ${remoteAsset.size} bytes)`;
+        } else if (mode === 'digest') {
+            const localDigest = await computeFileDigest(asset.file, 'sha256');
+            const remoteDigest = remoteAsset.digest && remoteAsset.digest.startsWith('sha256:')
+                ? remoteAsset.digest.slice('sha256:'.length)
+                : await computeRemoteDigest(remoteAsset.downloadUrl, downloadOptions);
+            if (localDigest !== remoteDigest) {
+                reason = `sha256 mismatch (local: ${localDigest}, remote: ${remoteDigest})`;
+            }
+        }
+
+        if (reason) {
+            core.error(`[Verification Failed] ${platform} asset "${asset.name}": ${reason}`);
+        } else {
+            core.info(`[Verification Passed] ${platform} asset "${asset.name}" matches the local file`);
+        }
+        results.push({ name: asset.name, verified: !reason, reason });
+    }
+
+    const failures = results.filter(result => !result.verified);
+    if (failures.length > 0) {
+        throw new Error(`${failures.length} asset(s) failed verification on ${platform}: ${failures.map(failure => failure.name).join(', ')}`);
+    }
+
+    core.info(`All ${results.length} uploaded asset(s) on ${platform} passed verification`);
+    return results;
+}
+
+module.exports = {
+    CHECKSUM_MANIFESTS,
+    VERIFY_MODES,
+    computeFileChecksums,
+    generateChecksumManifests,
+    verifyUploadedAssets
+};
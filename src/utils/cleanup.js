@@ -0,0 +1,160 @@
+const core = require('@actions/core');
+const { minimatch } = require('minimatch');
+
+// Number of milliseconds in a day, for the draft age limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the creation time of a normalized release, or 0 if the platform did not report it
+ * (such releases sort as the oldest ones).
+ *
+ * @param {Object} release - Normalized release
+ * @returns {number} Creation time in milliseconds since the epoch
+ */
+function getCreatedTime(release) {
+    return Date.parse(release.createdAt) || 0;
+}
+
+/**
+ * Checks whether a tag is protected from cleanup by one of the patterns.
+ *
+ * @param {string} tag - Tag name
+ * @param {string[]} patterns - Glob patterns (e.g., "v1.*")
+ * @returns {boolean} True if the tag matches a pattern
+ */
+function isProtectedTag(tag, patterns) {
+    return patterns.some(pattern => minimatch(tag, pattern, { dot: true }));
+}
+
+/**
+ * Selects the releases a retention policy removes.
+ *
+ * Releases are ranked newest first by creation time, separately for stable releases and
+ * pre-releases. The release that was just published counts as the newest of its kind and is
+ * never removed, even if it is not listed yet (e.g., in a dry run). Releases whose tag matches a
+ * protected pattern are neither removed nor counted. Drafts are only removed by age.
+ *
+ * @param {Object[]} releases - Normalized releases of the repository ({ tag, draft, prerelease, createdAt })
+ * @param {Object} policy - Retention policy
+ * @param {number|null} policy.keepStable - Number of stable releases to keep, or null to keep all
+ * @param {number|null} policy.keepPrereleases - Number of pre-releases to keep, or null to keep all
+ * @param {number|null} policy.draftMaxAge - Age in days after which drafts are removed, or null to keep all
+ * @param {string[]} policy.protect - Tag patterns that are never removed
+ * @param {Object} current - The release that was just published ({ tag, draft, prerelease })
+ * @param {number} [now=Date.now()] - Current time in milliseconds, for the draft age
+ * @returns {Array<{release: Object, reason: string}>} The releases to remove, newest first, with the rule that removes them
+ */
+function planCleanup(releases, policy, current, now = Date.now()) {
+    const candidates = releases
+        .filter(release => release.tag !== current.tag)
+        .sort((a, b) => getCreatedTime(b) - getCreatedTime(a));
+
+    // The published release occupies the first place of its kind
+    const counts = { stable: 0, prerelease: 0 };
+    if (!current.draft && !isProtectedTag(current.tag, policy.protect)) {
+        counts[current.prerelease ? 'prerelease' : 'stable']++;
+    }
+
+    const removals = [];
+    for (const release of candidates) {
+        if (isProtectedTag(release.tag, policy.protect)) {
+            continue;
+        }
+
+        if (release.draft) {
+            const createdTime = getCreatedTime(release);
+            if (policy.draftMaxAge !== null && createdTime && now - createdTime > policy.draftMaxAge * DAY_MS) {
+                removals.push({ release, reason: `draft older than ${policy.draftMaxAge} day(s)` });
+            }
+            continue;
+        }
+
+        const kind = release.prerelease ? 'prerelease' : 'stable';
+        const keep = release.prerelease ? policy.keepPrereleases : policy.keepStable;
+        counts[kind]++;
+        if (keep !== null && counts[kind] > keep) {
+            removals.push({ release, reason: `beyond the ${keep} newest ${release.prerelease ? 'pre-release(s)' : 'stable release(s)'}` });
+        }
+    }
+
+    return removals;
+}
+
+/**
+ * Removes old releases (and optionally their tags) from a platform according to a retention
+ * policy, through the adapter's optional listReleases(), deleteRelease() and deleteTag().
+ *
+ * Cleanup never fails the synchronization: platforms without the adapter functions are skipped
+ * and failed deletions are logged as warnings and reported.
+ *
+ * @async
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} config - Platform configuration
+ * @param {Object} options - Cleanup options
+ * @param {Object} options.policy - Retention policy (see planCleanup()), plus deleteTags to also delete the tags
+ * @param {Object} options.current - The release that was just published ({ tag, draft, prerelease })
+ * @param {boolean} [options.dryRun=false] - Only log the releases that would be removed
+ * @returns {Promise<Object[]>} Outcome of every removal ({ tag, name, reason, status, tagDeleted, error }),
+ *   where status is "deleted", "planned" or "failed"
+ */
+async function cleanupReleases(adapter, config, { policy, current, dryRun = false }) {
+    const label = adapter.displayName || adapter.name;
+    if (typeof adapter.listReleases !== 'function' || typeof adapter.deleteRelease !== 'function') {
+        core.warning(`${label} adapter cannot list or delete releases - Skipping release cleanup`);
+        return [];
+    }
+
+    let releases;
+    try {
+        releases = await adapter.listReleases(config);
+    } catch (error) {
+        core.warning(`Failed to list ${label} releases for cleanup: ${error.message}`);
+        return [];
+    }
+
+    const removals = planCleanup(releases, policy, current);
+    core.info(`${label} release cleanup - Releases: ${releases.length}, To remove: ${removals.length}`);
+
+    const deleteTags = policy.deleteTags && typeof adapter.deleteTag === 'function';
+    if (policy.deleteTags && !deleteTags && removals.length > 0) {
+        core.warning(`${label} adapter cannot delete tags - The tags of removed releases are kept`);
+    }
+
+    const outcomes = [];
+    for (const { release, reason } of removals) {
+        const description = `${release.draft ? 'draft' : release.prerelease ? 'pre-release' : 'release'} ${release.tag}${deleteTags ? ' and its tag' : ''}`;
+        if (dryRun) {
+            core.info(`[PLAN] DELETE ${description} - ${reason}`);
+            outcomes.push({ tag: release.tag, name: release.name, reason, status: 'planned', tagDeleted: false, error: null });
+            continue;
+        }
+
+        try {
+            await adapter.deleteRelease(config, release);
+        } catch (error) {
+            core.warning(`Failed to delete ${label} ${description}: ${error.message}`);
+            outcomes.push({ tag: release.tag, name: release.name, reason, status: 'failed', tagDeleted: false, error: error.message });
+            continue;
+        }
+
+        // A tag that cannot be deleted does not undo the removed release, so it is only reported
+        let tagError = null;
+        if (deleteTags) {
+            try {
+                await adapter.deleteTag(config, release.tag);
+            } catch (error) {
+                tagError = `Tag could not be deleted: ${error.message}`;
+                core.warning(`Deleted ${label} release ${release.tag}, but failed to delete its tag: ${error.message}`);
+            }
+        }
+        core.info(`Deleted ${description} - ${reason}`);
+        outcomes.push({ tag: release.tag, name: release.name, reason, status: 'deleted', tagDeleted: deleteTags && !tagError, error: tagError });
+    }
+
+    return outcomes;
+}
+
+module.exports = {
+    planCleanup,
+    cleanupReleases
+};
@@ -0,0 +1,38 @@
+/**
+ * Maps items through an async worker with at most `limit` workers running at the same time.
+ *
+ * Results keep the order of the input items. If a worker throws, no further items are started
+ * and the returned promise rejects with that error once the running workers have settled.
+ *
+ * @async
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrently running workers (values below 1 are treated as 1)
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @returns {Promise<Array>} Results of the worker, in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    const workerCount = Math.min(Math.max(limit, 1), items.length);
+    let nextIndex = 0;
+    let firstError = null;
+
+    const runWorker = async () => {
+        while (!firstError && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    if (firstError) {
+        throw firstError;
+    }
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,259 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { matchesAssetPattern } = require('./assetSpec');
+
+// Target ids become part of output names ("<id>-release-id"), so they are restricted to safe characters
+const TARGET_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Keys of a target that are handled by the action itself; any other key is a platform setting
+// passed to the adapter (e.g., "owner", "repo", "url", "target-commitish") and must be one it reads
+const TARGET_KEYS = {
+    'id': 'string',
+    'platform': 'string',
+    'token-env': 'string',
+    'assets': 'patterns',
+    'release-name': 'string',
+    'release-body': 'string',
+    'draft': 'boolean',
+    'prerelease': 'boolean'
+};
+
+/**
+ * Checks whether a value is a plain object (not null and not an array).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parses the content of a config file. Files ending in ".json" are parsed as JSON, everything
+ * else as YAML.
+ *
+ * @param {string} filePath - Path of the config file (used to pick the format and in error messages)
+ * @param {string} content - Content of the config file
+ * @returns {*} The parsed document
+ * @throws {Error} Throws if the content is not valid JSON/YAML
+ */
+function parseConfigContent(filePath, content) {
+    try {
+        return path.extname(filePath).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to parse config file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Validates a single target of the config file and converts it into its normalized form.
+ *
+ * @param {*} rawTarget - Target as written in the config file
+ * @param {string} location - Location of the target for error messages (e.g., "targets[1]")
+ * @param {string[]} errors - Collected validation errors (appended to in place)
+ * @returns {Object|null} The normalized target, or null if it is invalid
+ */
+function validateTarget(rawTarget, location, errors) {
+    if (!isPlainObject(rawTarget)) {
+        errors.push(`${location}: must be an object`);
+        return null;
+    }
+
+    const errorCount = errors.length;
+    const settings = {};
+
+    for (const [key, value] of Object.entries(rawTarget)) {
+        const expected = TARGET_KEYS[key];
+        if (key === 'token') {
+            errors.push(`${location}.token: tokens must not be written to the config file, use 'token-env' to name the environment variable holding the token`);
+        } else if (expected === 'patterns') {
+            const patterns = typeof value === 'string' ? [value] : value;
+            if (!Array.isArray(patterns) || patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+                errors.push(`${location}.${key}: must be a pattern or a non-empty list of patterns`);
+            }
+        } else if (expected && typeof value !== expected) {
+            errors.push(`${location}.${key}: must be a ${expected}, got ${Array.isArray(value) ? 'list' : typeof value}`);
+        } else if (!expected) {
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                errors.push(`${location}.${key}: platform settings must be a string, number or boolean`);
+            } else {
+                settings[key] = String(value);
+            }
+        }
+    }
+
+    if (typeof rawTarget.platform !== 'string' || !rawTarget.platform.trim()) {
+        // A platform of the wrong type was already reported above
+        if (rawTarget.platform === undefined || typeof rawTarget.platform === 'string') {
+            errors.push(`${location}.platform: is required`);
+        }
+        return null;
+    }
+
+    const platform = rawTarget.platform.trim();
+    const isPath = platform.startsWith('./') || platform.startsWith('../') || /\.(c|m)?js$/i.test(platform);
+    const id = rawTarget.id !== undefined ? rawTarget.id : (isPath ? undefined : platform.toLowerCase());
+    if (id === undefined) {
+        errors.push(`${location}.id: is required for targets using a custom adapter module`);
+    } else if (typeof id === 'string' && !TARGET_ID_PATTERN.test(id)) {
+        errors.push(`${location}.id: "${id}" may only contain letters, digits, "-" and "_", and must start with a letter or digit`);
+    }
+
+    const tokenEnv = rawTarget['token-env'];
+    if (typeof tokenEnv === 'string' && !process.env[tokenEnv]) {
+        errors.push(`${location}.token-env: environment variable ${tokenEnv} is not set or empty`);
+    }
+
+    if (errors.length > errorCount) {
+        return null;
+    }
+
+    const assets = rawTarget.assets === undefined
+        ? []
+        : (typeof rawTarget.assets === 'string' ? [rawTarget.assets] : rawTarget.assets).map(pattern => pattern.trim());
+
+    return {
+        id,
+        platform,
+        tokenEnv: tokenEnv || null,
+        assets,
+        overrides: {
+            releaseName: rawTarget['release-name'],
+            body: rawTarget['release-body'],
+            draft: rawTarget.draft,
+            prerelease: rawTarget.prerelease
+        },
+        settings
+    };
+}
+
+/**
+ * Reads, parses and validates a config file describing the release targets.
+ *
+ * The file has a single "targets" list; each target names its platform and may override the
+ * release name/body/draft/prerelease and filter the asset list. All problems are collected and
+ * reported together, so a broken config file fails before any API call is made.
+ *
+ * @async
+ * @param {string} filePath - Path of the YAML or JSON config file
+ * @returns {Promise<Object[]>} Normalized targets ({ id, platform, tokenEnv, assets, overrides, settings })
+ * @throws {Error} Throws if the file cannot be read, parsed or does not match the schema
+ */
+async function loadConfigFile(filePath) {
+    core.info(`Reading release targets from config file: ${filePath}`);
+
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read config file ${filePath}: ${error.message}`);
+    }
+
+    const document = parseConfigContent(filePath, content);
+    const errors = [];
+    const targets = [];
+
+    if (!isPlainObject(document)) {
+        errors.push('the config file must contain an object with a "targets" list');
+    } else {
+        for (const key of Object.keys(document).filter(key => key !== 'targets')) {
+            errors.push(`${key}: unknown top-level key (only "targets" is supported)`);
+        }
+
+        if (!Array.isArray(document.targets) || document.targets.length === 0) {
+            errors.push('targets: must be a non-empty list');
+        } else {
+            const seenIds = new Map();
+            document.targets.forEach((rawTarget, index) => {
+                const target = validateTarget(rawTarget, `targets[${index}]`, errors);
+                if (!target) {
+                    return;
+                }
+                if (seenIds.has(target.id)) {
+                    errors.push(`targets[${index}].id: "${target.id}" is already used by targets[${seenIds.get(target.id)}], give each target of the same platform a unique id`);
+                    return;
+                }
+                seenIds.set(target.id, index);
+                targets.push(target);
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid config file ${filePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    core.info(`Config file validated - ${targets.length} target(s): ${targets.map(target => `${target.id} (${target.platform})`).join(', ')}`);
+    return targets;
+}
+
+/**
+ * Returns the input reader passed to an adapter's readConfig() for a config file target.
+ *
+ * Settings of the target take precedence, the token is read from the environment variable named
+ * by "token-env", and any other key falls back to the platform's own action inputs.
+ *
+ * @param {Object} target - Normalized target
+ * @param {Function} fallback - Input reader of the platform (key => "<platform>-<key>" input)
+ * @param {Set<string>} [readKeys] - Collects every key that is read, see findUnknownSettings()
+ * @returns {Function} Function mapping a key to its value
+ */
+function createTargetInputReader(target, fallback, readKeys = new Set()) {
+    return key => {
+        readKeys.add(key);
+        if (target.settings[key] !== undefined) {
+            return target.settings[key];
+        }
+        if (key === 'token' && target.tokenEnv) {
+            return process.env[target.tokenEnv];
+        }
+        return fallback(key);
+    };
+}
+
+/**
+ * Finds the platform settings of a target that were never read, which are most likely typos
+ * (e.g., "asets" or "ower") and would otherwise be silently ignored.
+ *
+ * @param {Object} target - Normalized target
+ * @param {Set<string>} readKeys - Keys read through the target's input reader
+ * @returns {string[]} The unknown settings (empty if every setting was read)
+ */
+function findUnknownSettings(target, readKeys) {
+    return Object.keys(target.settings).filter(key => !readKeys.has(key));
+}
+
+/**
+ * Filters the asset files of a target by its "assets" patterns.
+ *
+ * Patterns containing a "/" are matched against the path relative to the working directory,
+ * other patterns against the file name. A file is kept if it matches at least one pattern (or
+ * there are only exclusion patterns) and no exclusion pattern ("!" prefix).
+ *
+ * @param {string[]} assetFiles - Absolute paths of the asset files
+ * @param {string[]} patterns - Inclusion and "!"-prefixed exclusion patterns (empty keeps every file)
+ * @returns {string[]} The asset files of the target
+ */
+function filterTargetAssets(assetFiles, patterns) {
+    if (patterns.length === 0) {
+        return assetFiles;
+    }
+
+    const includes = patterns.filter(pattern => !pattern.startsWith('!'));
+    const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+
+    return assetFiles.filter(filePath =>
+        (includes.length === 0 || includes.some(pattern => matchesAssetPattern(filePath, pattern)))
+        && !excludes.some(pattern => matchesAssetPattern(filePath, pattern)));
+}
+
+module.exports = {
+    loadConfigFile,
+    createTargetInputReader,
+    findUnknownSettings,
+    filterTargetAssets
+};
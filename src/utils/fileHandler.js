@@ -1,23 +1,20 @@
 const core = require('@actions/core');
+const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const fsExtra = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const glob = require('glob');
+const { withRetry } = require('./retry');
 
-function resolveAssetFiles(assetInput) {
-    if (!assetInput) {
-        core.warning('Asset input is empty or undefined. No asset files will be processed or resolved.');
-        return [];
-    }
-
-    core.info(`Starting to resolve asset files from raw input: "${assetInput}"`);
-
-    const assetPatterns = assetInput
-        .split(/\s+/)
-        .map(item => item.trim())
-        .filter(Boolean);
+// Files at least this large get periodic upload progress log lines
+const PROGRESS_LOG_MIN_SIZE = 10 * 1024 * 1024;
 
-    core.info(`Successfully parsed ${assetPatterns.length} valid asset pattern(s): ${JSON.stringify(assetPatterns)}`);
+function resolveAssetFiles(assetPatterns) {
+    core.info(`Starting to resolve ${assetPatterns.length} asset pattern(s): ${JSON.stringify(assetPatterns)}`);
 
     return assetPatterns
         .flatMap(pattern => {
@@ -50,20 +47,18 @@ function resolveAssetFiles(assetInput) {
         });
 }
 
-async function getFileInfo(filePath) {
+async function getFileInfo(filePath, fileName = path.basename(filePath)) {
     core.info(`Starting to retrieve detailed file information for: "${filePath}"`);
 
     try {
-        const fileName = path.basename(filePath);
         const fileStat = await fs.stat(filePath);
-        const fileContent = await fs.readFile(filePath);
 
         core.info(`[File Info Retrieved Successfully] File name: "${fileName}", File path: "${filePath}", File size: ${fileStat.size} bytes, Last modified: ${fileStat.mtime.toISOString()}`);
 
         return {
             name: fileName,
-            size: fileStat.size,
-            content: fileContent
+            path: filePath,
+            size: fileStat.size
         };
     } catch (error) {
         core.warning(`[File Info Retrieval Failed] Skipped processing asset file: "${filePath}". Error type: "${error.name}", Error message: "${error.message}", Stack trace snippet: "${error.stack?.substring(0, 200)}..."`);
@@ -71,7 +66,93 @@ async function getFileInfo(filePath) {
     }
 }
 
+function computeFileDigest(filePath, algorithm = 'sha256') {
+    core.debug(`Computing ${algorithm} digest of file: "${filePath}"`);
+
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        fsExtra.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+function createUploadStream(fileInfo, label = fileInfo.name) {
+    const fileStream = fsExtra.createReadStream(fileInfo.path);
+
+    if (fileInfo.size < PROGRESS_LOG_MIN_SIZE) {
+        return fileStream;
+    }
+
+    // Count bytes as the HTTP client consumes them and log every 10%
+    let transferred = 0;
+    let nextPercent = 10;
+    const progressStream = new Transform({
+        transform(chunk, encoding, callback) {
+            transferred += chunk.length;
+            const percent = Math.floor(transferred * 100 / fileInfo.size);
+            if (percent >= nextPercent) {
+                core.info(`[Upload Progress] ${label}: ${percent}% (${formatBytes(transferred)} / ${formatBytes(fileInfo.size)})`);
+                nextPercent = Math.floor(percent / 10) * 10 + 10;
+            }
+            callback(null, chunk);
+        }
+    });
+
+    fileStream.on('error', error => progressStream.destroy(error));
+    return fileStream.pipe(progressStream);
+}
+
+async function createTempDirectory(prefix) {
+    const baseDir = process.env.RUNNER_TEMP || os.tmpdir();
+    const tempDir = await fs.mkdtemp(path.join(baseDir, `release-sync-${prefix}-`));
+    core.debug(`Created temporary directory: "${tempDir}"`);
+    return tempDir;
+}
+
+async function downloadFile(url, destPath, { headers = {}, params } = {}) {
+    core.info(`Starting to download "${url}" to "${destPath}"`);
+
+    await fsExtra.ensureDir(path.dirname(destPath));
+    await withRetry(async () => {
+        const response = await axios.get(url, {
+            params,
+            headers: {
+                'User-Agent': 'Release Sync',
+                ...headers
+            },
+            responseType: 'stream',
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 300000
+        });
+
+        await pipeline(response.data, fsExtra.createWriteStream(destPath));
+    }, `Download of "${url}"`);
+
+    const fileStat = await fs.stat(destPath);
+    core.info(`[Download Completed] File path: "${destPath}", File size: ${fileStat.size} bytes`);
+    return destPath;
+}
+
 module.exports = {
     resolveAssetFiles,
-    getFileInfo
+    getFileInfo,
+    computeFileDigest,
+    formatBytes,
+    createUploadStream,
+    createTempDirectory,
+    downloadFile
 };
@@ -0,0 +1,162 @@
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+
+/**
+ * Returns the directory of the checked-out repository the git commands run in.
+ *
+ * @returns {string} GITHUB_WORKSPACE, or the current directory outside of GitHub Actions
+ */
+function getWorkspace() {
+    return process.env.GITHUB_WORKSPACE || process.cwd();
+}
+
+/**
+ * Runs a git command in the workspace and returns its trimmed standard output.
+ *
+ * @async
+ * @param {string[]} args - Arguments of the git command
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.ignoreReturnCode=false] - Return null instead of throwing if the command fails
+ * @returns {Promise<string|null>} The output, or null if the command failed and ignoreReturnCode is set
+ * @throws {Error} Throws if the command fails and ignoreReturnCode is not set
+ */
+async function git(args, { ignoreReturnCode = false } = {}) {
+    const { exitCode, stdout, stderr } = await exec.getExecOutput('git', args, {
+        cwd: getWorkspace(),
+        silent: true,
+        ignoreReturnCode: true
+    });
+    if (exitCode !== 0) {
+        if (ignoreReturnCode) {
+            return null;
+        }
+        // Name the subcommand, leaving out "-c <setting>" options (they may hold credentials)
+        const command = args.find((arg, index) => arg !== '-c' && args[index - 1] !== '-c');
+        throw new Error(`git ${command} failed with exit code ${exitCode}: ${stderr.trim() || stdout.trim()}`);
+    }
+    return stdout.trim();
+}
+
+/**
+ * Resolves the commit a local tag points to (following annotated tags).
+ *
+ * @async
+ * @param {string} tag - Tag name
+ * @returns {Promise<string|null>} The commit SHA, or null if the tag does not exist in the workspace
+ */
+async function getLocalTagCommit(tag) {
+    return git(['rev-parse', '--quiet', '--verify', `refs/tags/${tag}^{commit}`], { ignoreReturnCode: true });
+}
+
+/**
+ * Checks whether a commit is present in the workspace (e.g., not cut off by a shallow clone).
+ *
+ * @async
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<boolean>} True if the commit exists locally
+ */
+async function hasLocalCommit(sha) {
+    return (await git(['cat-file', '-e', `${sha}^{commit}`], { ignoreReturnCode: true })) !== null;
+}
+
+/**
+ * Resolves a revision of the workspace (e.g., a tag or commit) to the object SHA it names, without
+ * following annotated tags.
+ *
+ * @async
+ * @param {string} rev - Revision
+ * @returns {Promise<string>} The object SHA
+ * @throws {Error} Throws if the revision does not exist in the workspace
+ */
+async function resolveLocalRef(rev) {
+    return git(['rev-parse', '--verify', rev]);
+}
+
+/**
+ * Returns the git options that authenticate requests to an HTTPS remote.
+ *
+ * HTTPS remotes are authenticated with an HTTP Basic authorization header passed on the command
+ * line, so the token is neither written to the git configuration nor part of the remote URL. The
+ * token and the header are masked in the GitHub Actions log. Other remotes (e.g., a local path)
+ * need no options.
+ *
+ * @param {string} url - URL or path of the remote repository
+ * @param {string} [username] - User name for HTTPS authentication
+ * @param {string} [token] - Access token for HTTPS authentication
+ * @returns {string[]} The "-c <setting>" options to put in front of the git command
+ */
+function getAuthArgs(url, username, token) {
+    if (!token || !/^https?:\/\//i.test(url)) {
+        return [];
+    }
+    const credentials = Buffer.from(`${username}:${token}`).toString('base64');
+    // Outside of GitHub Actions nothing masks the log, and the mask command would print the secrets instead
+    if (process.env.GITHUB_ACTIONS === 'true') {
+        core.setSecret(token);
+        core.setSecret(credentials);
+    }
+    return ['-c', `http.extraHeader=Authorization: Basic ${credentials}`];
+}
+
+/**
+ * Reads the current values of refs in a remote repository.
+ *
+ * @async
+ * @param {Object} options - Options
+ * @param {string} options.url - URL or path of the remote repository
+ * @param {string[]} options.refs - Full names of the refs (e.g., "refs/tags/v1.0.0")
+ * @param {string} [options.username] - User name for HTTPS authentication
+ * @param {string} [options.token] - Access token for HTTPS authentication
+ * @returns {Promise<Map<string, string>>} Map of ref name to object SHA; refs missing in the remote are left out
+ * @throws {Error} Throws if the remote cannot be read
+ */
+async function listRemoteRefs({ url, refs, username, token }) {
+    const output = await git([...getAuthArgs(url, username, token), 'ls-remote', url, ...refs]);
+    const values = new Map();
+    for (const line of output.split('\n').filter(Boolean)) {
+        const [sha, ref] = line.split('\t');
+        // ls-remote matches patterns by suffix and lists peeled tags ("^{}"), so only exact names are kept
+        if (refs.includes(ref)) {
+            values.set(ref, sha);
+        }
+    }
+    return values;
+}
+
+/**
+ * Pushes refs from the workspace to a remote repository (see getAuthArgs() for the authentication).
+ *
+ * @async
+ * @param {Object} options - Push options
+ * @param {string} options.url - URL or path of the remote repository
+ * @param {string[]} options.refspecs - Refspecs to push (e.g., "refs/tags/v1.0.0:refs/tags/v1.0.0")
+ * @param {string[]} [options.leases=[]] - "<ref>:<expected SHA>" pairs; the refs are overwritten (or deleted)
+ *   only if they still have the expected value (git push --force-with-lease)
+ * @param {string} [options.username] - User name for HTTPS authentication
+ * @param {string} [options.token] - Access token for HTTPS authentication
+ * @throws {Error} Throws if the push is rejected or fails
+ */
+async function pushRefs({ url, refspecs, leases = [], username, token }) {
+    const args = [
+        ...getAuthArgs(url, username, token),
+        'push',
+        '--porcelain',
+        ...leases.map(lease => `--force-with-lease=${lease}`),
+        url,
+        ...refspecs
+    ];
+
+    core.info(`Pushing ${refspecs.join(', ')} to ${url}`);
+    const output = await git(args);
+    for (const line of output.split('\n').filter(Boolean)) {
+        core.info(`  ${line}`);
+    }
+}
+
+module.exports = {
+    getLocalTagCommit,
+    hasLocalCommit,
+    resolveLocalRef,
+    listRemoteRefs,
+    pushRefs
+};
@@ -0,0 +1,50 @@
+// Values accepted for boolean inputs (the YAML 1.2 core schema, like core.getBooleanInput())
+const TRUE_VALUES = ['true', 'True', 'TRUE'];
+const FALSE_VALUES = ['false', 'False', 'FALSE'];
+
+/**
+ * Reads an input that must not be empty.
+ *
+ * @param {Function} getInput - Input reader (returns the value of an input by name)
+ * @param {string} name - Input name
+ * @returns {string} The input value
+ * @throws {Error} Throws if the input is empty
+ */
+function getRequiredInput(getInput, name) {
+    const value = getInput(name);
+    if (!value) {
+        throw new Error(`Input required and not supplied: ${name}`);
+    }
+    return value;
+}
+
+/**
+ * Reads a boolean input.
+ *
+ * Unlike core.getBooleanInput(), this works with any input reader, e.g. the "<platform>-<key>" reader
+ * passed to an adapter's readConfig(), so settings of a config file target are validated as well.
+ *
+ * @param {Function} getInput - Input reader (returns the value of an input by name)
+ * @param {string} name - Input name
+ * @param {boolean} [defaultValue=false] - Value of an empty input
+ * @returns {boolean} The input value
+ * @throws {TypeError} Throws if the value is not a boolean of the YAML 1.2 core schema
+ */
+function getBooleanInput(getInput, name, defaultValue = false) {
+    const value = (getInput(name) || '').trim();
+    if (!value) {
+        return defaultValue;
+    }
+    if (TRUE_VALUES.includes(value)) {
+        return true;
+    }
+    if (FALSE_VALUES.includes(value)) {
+        return false;
+    }
+    throw new TypeError(`Input does not meet YAML 1.2 "Core Schema" specification: ${name}\nSupport boolean input list: \`true | True | TRUE | false | False | FALSE\``);
+}
+
+module.exports = {
+    getRequiredInput,
+    getBooleanInput
+};
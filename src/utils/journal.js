@@ -0,0 +1,180 @@
+const core = require('@actions/core');
+
+// Supported policies for the changes of a run when a platform fails: undo them, or leave them in place
+const FAILURE_POLICIES = ['rollback', 'keep'];
+
+/**
+ * Creates a journal of the mutations a run makes on the platforms, so they can be undone in
+ * reverse order if the synchronization fails (see rollbackJournal()).
+ *
+ * Entries are plain objects with the platform (target id) they belong to and one of these types:
+ * - "tag": { tag } - the tag did not exist before the release was created, so it may have been created by the run
+ * - "release": { release } - a release created by the run
+ * - "release-update": { release, previous } - an existing release whose metadata was changed; previous is its state before the run
+ * - "asset": { release, name, replaced } - an asset uploaded by the run (replaced: it took the place of an existing asset)
+ * - "git-ref": { ref, value, previous } - a ref pushed to the platform's git repository (e.g., gitee-push); value is the
+ *   pushed object, previous the object the ref pointed to before (null if the push created it)
+ *
+ * @returns {Object} The journal ({ entries, forPlatform(platform) }), where forPlatform() returns the
+ *   recorder ({ record(entry) }) passed to syncGitRefs() and publishRelease() for one platform
+ */
+function createJournal() {
+    const entries = [];
+    return {
+        entries,
+        forPlatform(platform) {
+            return {
+                record(entry) {
+                    entries.push({ platform, ...entry });
+                    core.debug(`[${platform.toUpperCase()}] Journal entry recorded: ${describeEntry(entry)}`);
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Returns a human-readable description of a journal entry for log messages.
+ *
+ * @param {Object} entry - Journal entry
+ * @returns {string} The description (e.g., 'release "v1.0.0"')
+ */
+function describeEntry(entry) {
+    switch (entry.type) {
+        case 'tag':
+            return `tag "${entry.tag}"`;
+        case 'release':
+            return `release "${entry.release.tag}" (ID: ${entry.release.id})`;
+        case 'release-update':
+            return `update of release "${entry.release.tag}" (ID: ${entry.release.id})`;
+        case 'git-ref':
+            return `push of ${entry.ref}`;
+        default:
+            return `asset "${entry.name}" of release "${entry.release.tag}"`;
+    }
+}
+
+/**
+ * Undoes a single journal entry through the platform adapter.
+ *
+ * @async
+ * @param {Object} entry - Journal entry
+ * @param {Object} target - The platform's { adapter, config }
+ * @param {Map<string, Promise<Object[]>>} assetLists - Cache of the asset lists of releases, keyed by release ID
+ * @returns {Promise<{status: string, message: string}>} "undone" or "kept" (the platform cannot undo the change), with a message
+ */
+async function undoEntry(entry, { adapter, config }, assetLists) {
+    const label = adapter.displayName || adapter.name;
+
+    if (entry.type === 'tag') {
+        if (adapter.tagExists && !(await adapter.tagExists(config, entry.tag))) {
+            return { status: 'undone', message: `Tag ${entry.tag} was not created - Nothing to undo` };
+        }
+        if (typeof adapter.deleteTag !== 'function') {
+            return { status: 'kept', message: `${label} adapter cannot delete tags - Tag ${entry.tag} is kept` };
+        }
+        await adapter.deleteTag(config, entry.tag);
+        return { status: 'undone', message: `Deleted ${label} tag ${entry.tag}` };
+    }
+
+    if (entry.type === 'release') {
+        if (typeof adapter.deleteRelease !== 'function') {
+            return { status: 'kept', message: `${label} adapter cannot delete releases - Release ${entry.release.tag} is kept (${entry.release.url})` };
+        }
+        await adapter.deleteRelease(config, entry.release);
+        return { status: 'undone', message: `Deleted ${label} release ${entry.release.tag} (ID: ${entry.release.id})` };
+    }
+
+    if (entry.type === 'release-update') {
+        const { previous } = entry;
+        await adapter.createOrUpdateRelease(config, {
+            existingRelease: entry.release,
+            tag: entry.release.tag,
+            releaseName: previous.name,
+            body: previous.body,
+            draft: Boolean(previous.draft),
+            prerelease: Boolean(previous.prerelease)
+        });
+        return { status: 'undone', message: `Restored the previous name, body and flags of ${label} release ${entry.release.tag}` };
+    }
+
+    if (entry.type === 'git-ref') {
+        if (typeof adapter.restoreGitRef !== 'function') {
+            return { status: 'kept', message: `${label} adapter cannot undo pushes - ${entry.ref} is kept at ${entry.value}` };
+        }
+        await adapter.restoreGitRef(config, entry);
+        return {
+            status: 'undone',
+            message: entry.previous ? `Reset ${label} ${entry.ref} to ${entry.previous}` : `Deleted ${label} ${entry.ref}`
+        };
+    }
+
+    // The previous file of a replaced asset is gone, so the new one is better than none
+    if (entry.replaced) {
+        return { status: 'kept', message: `Asset ${entry.name} replaced an existing asset that cannot be restored - The uploaded file is kept` };
+    }
+    const releaseKey = String(entry.release.id);
+    if (!assetLists.has(releaseKey)) {
+        assetLists.set(releaseKey, adapter.listAssets(config, entry.release));
+    }
+    const asset = (await assetLists.get(releaseKey)).find(candidate => candidate.name === entry.name);
+    if (!asset) {
+        return { status: 'undone', message: `Asset ${entry.name} is no longer attached to the release - Nothing to undo` };
+    }
+    await adapter.deleteAsset(config, entry.release, asset);
+    return { status: 'undone', message: `Deleted ${label} asset ${entry.name} from release ${entry.release.tag}` };
+}
+
+/**
+ * Undoes the mutations recorded in a journal, newest first.
+ *
+ * Assets of a release that the run created are removed together with the release. Changes a
+ * platform cannot undo (e.g., deleting a Gitee tag) and failed undo steps are logged as warnings,
+ * and the rollback continues with the remaining entries, so every platform is restored as far
+ * as possible.
+ *
+ * @async
+ * @param {Object} journal - Journal returned by createJournal()
+ * @param {Object} targets - Map of platform to its { adapter, config }
+ * @returns {Promise<Object[]>} Outcome of every undone entry ({ platform, description, status, message }),
+ *   where status is "undone", "kept" or "failed"
+ */
+async function rollbackJournal(journal, targets) {
+    const createdReleases = new Set(journal.entries
+        .filter(entry => entry.type === 'release')
+        .map(entry => `${entry.platform}:${entry.release.id}`));
+    const assetLists = new Map();
+    const outcomes = [];
+
+    for (const entry of [...journal.entries].reverse()) {
+        if (entry.type === 'asset' && createdReleases.has(`${entry.platform}:${entry.release.id}`)) {
+            continue;
+        }
+
+        const description = describeEntry(entry);
+        let outcome;
+        try {
+            outcome = await undoEntry(entry, targets[entry.platform], assetLists);
+        } catch (error) {
+            outcome = { status: 'failed', message: `Failed to undo the ${description}: ${error.message}` };
+        }
+
+        const message = `[${entry.platform.toUpperCase()}] ${outcome.message}`;
+        if (outcome.status === 'undone') {
+            core.info(message);
+        } else {
+            core.warning(message);
+        }
+        outcomes.push({ platform: entry.platform, description, ...outcome });
+    }
+
+    const countByStatus = status => outcomes.filter(outcome => outcome.status === status).length;
+    core.info(`Rollback completed - Undone: ${countByStatus('undone')}, Kept: ${countByStatus('kept')}, Failed: ${countByStatus('failed')}`);
+    return outcomes;
+}
+
+module.exports = {
+    FAILURE_POLICIES,
+    createJournal,
+    rollbackJournal
+};
@@ -0,0 +1,187 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const fsExtra = require('fs-extra');
+const path = require('path');
+const { computeFileDigest, createTempDirectory, formatBytes } = require('./fileHandler');
+
+// Supported strategies for assets larger than the size limit of a platform
+const OVERSIZE_STRATEGIES = ['fail', 'skip', 'split'];
+
+// Size units accepted by parseSize(), as powers of 1024
+const SIZE_UNITS = { '': 1, 'b': 1, 'k': 1024, 'kb': 1024, 'kib': 1024, 'm': 1024 ** 2, 'mb': 1024 ** 2, 'mib': 1024 ** 2, 'g': 1024 ** 3, 'gb': 1024 ** 3, 'gib': 1024 ** 3 };
+
+// Split results keyed by file, asset name and part size, so platforms with the same limit share the parts
+const splitCache = new Map();
+
+/**
+ * Parses a size such as "100MB", "1.5 GiB" or "104857600". Units are powers of 1024.
+ *
+ * @param {string} value - Size to parse
+ * @returns {number|null} The size in bytes, or null if the value is not a valid size
+ */
+function parseSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    if (!match || SIZE_UNITS[match[2].toLowerCase()] === undefined) {
+        return null;
+    }
+    return Math.floor(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Writes the reassembly scripts of a split asset: a POSIX shell script and a PowerShell script
+ * that join the parts in order and check the SHA-256 digest of the result.
+ *
+ * @async
+ * @param {string} directory - Directory of the parts
+ * @param {string} name - Name of the original asset
+ * @param {string[]} partNames - Names of the parts, in order
+ * @param {string} digest - Hex-encoded SHA-256 digest of the original asset
+ * @returns {Promise<string[]>} Paths of the written scripts
+ */
+async function writeReassemblyScripts(directory, name, partNames, digest) {
+    const shellQuote = value => `'${value.replace(/'/g, `'\\''`)}'`;
+    const powerShellQuote = value => `'${value.replace(/'/g, "''")}'`;
+
+    const shellPath = path.join(directory, `${name}.reassemble.sh`);
+    await fs.writeFile(shellPath, [
+        '#!/bin/sh',
+        `# Joins the ${partNames.length} parts of ${name} downloaded to the current directory and verifies the result`,
+        'set -e',
+        `cat ${partNames.map(shellQuote).join(' ')} > ${shellQuote(name)}`,
+        `echo ${shellQuote(`${digest}  ${name}`)} | sha256sum -c -`,
+        ''
+    ].join('\n'), { mode: 0o755 });
+
+    const powerShellPath = path.join(directory, `${name}.reassemble.ps1`);
+    await fs.writeFile(powerShellPath, [
+        `# Joins the ${partNames.length} parts of ${name} downloaded to the current directory and verifies the result`,
+        '$ErrorActionPreference = \'Stop\'',
+        `$output = [System.IO.File]::Create((Join-Path $PWD ${powerShellQuote(name)}))`,
+        `foreach ($part in @(${partNames.map(powerShellQuote).join(', ')})) {`,
+        '    $stream = [System.IO.File]::OpenRead((Join-Path $PWD $part))',
+        '    $stream.CopyTo($output)',
+        '    $stream.Close()',
+        '}',
+        '$output.Close()',
+        `if ((Get-FileHash -Algorithm SHA256 ${powerShellQuote(name)}).Hash.ToLower() -ne '${digest}') { throw ${powerShellQuote(`Checksum mismatch for ${name}`)} }`,
+        `Write-Output ${powerShellQuote(`${name}: OK`)}`,
+        ''
+    ].join('\r\n'));
+
+    return [shellPath, powerShellPath];
+}
+
+/**
+ * Splits a file into "<name>.part001", "<name>.part002", ... pieces of at most partSize bytes, and
+ * adds a "<name>.sha256" checksum file and reassembly scripts for Linux/macOS and Windows.
+ *
+ * @async
+ * @param {string} filePath - Path of the file to split
+ * @param {string} name - Asset name of the file
+ * @param {number} size - Size of the file in bytes
+ * @param {number} partSize - Maximum size of a part in bytes
+ * @returns {Promise<string[]>} Paths of the parts, followed by the checksum file and the scripts
+ */
+async function splitAssetFile(filePath, name, size, partSize) {
+    const cacheKey = `${filePath}:${name}:${partSize}`;
+    if (!splitCache.has(cacheKey)) {
+        splitCache.set(cacheKey, (async () => {
+            const directory = await createTempDirectory('split');
+            const partCount = Math.ceil(size / partSize);
+            const digits = Math.max(3, String(partCount).length);
+            core.info(`Splitting asset ${name} (${formatBytes(size)}) into ${partCount} part(s) of at most ${formatBytes(partSize)} in ${directory}`);
+
+            const partPaths = [];
+            for (let index = 0; index < partCount; index++) {
+                const partPath = path.join(directory, `${name}.part${String(index + 1).padStart(digits, '0')}`);
+                await new Promise((resolve, reject) => {
+                    fsExtra.createReadStream(filePath, { start: index * partSize, end: Math.min(size, (index + 1) * partSize) - 1 })
+                        .on('error', reject)
+                        .pipe(fsExtra.createWriteStream(partPath))
+                        .on('error', reject)
+                        .on('finish', resolve);
+                });
+                partPaths.push(partPath);
+            }
+
+            const digest = await computeFileDigest(filePath, 'sha256');
+            const checksumPath = path.join(directory, `${name}.sha256`);
+            await fs.writeFile(checksumPath, `${digest}  ${name}\n`);
+            const scriptPaths = await writeReassemblyScripts(directory, name, partPaths.map(partPath => path.basename(partPath)), digest);
+
+            return [...partPaths, checksumPath, ...scriptPaths];
+        })());
+    }
+    return splitCache.get(cacheKey);
+}
+
+/**
+ * Checks the asset files of a platform against its size limit before anything is uploaded, and
+ * applies the oversize strategy to the files that are too large:
+ * - "fail": throws, so the platform fails before any API call
+ * - "skip": leaves the file out
+ * - "split": replaces the file with parts below the limit, a checksum file and reassembly scripts
+ *
+ * In a dry run files are not actually split; the affected assets are only reported.
+ *
+ * @async
+ * @param {Object} options - Size check options
+ * @param {string} options.label - Platform name for messages
+ * @param {string[]} options.assetFiles - Paths of the asset files of the platform
+ * @param {Object} options.assetNames - Map of file path to asset name (files without an entry keep their file name)
+ * @param {number|null} options.limit - Maximum asset size in bytes, or null for no limit
+ * @param {string} options.strategy - Oversize strategy (one of OVERSIZE_STRATEGIES)
+ * @param {boolean} [options.dryRun=false] - Only report the affected assets
+ * @returns {Promise<{assetFiles: string[], oversizeAssets: Object[]}>} The files to upload and the affected
+ *   assets as asset results ({ file, name, action, status, size, error })
+ * @throws {Error} Throws if the strategy is "fail" and an asset exceeds the limit
+ */
+async function applyAssetSizeLimit({ label, assetFiles, assetNames, limit, strategy, dryRun = false }) {
+    if (!limit) {
+        return { assetFiles, oversizeAssets: [] };
+    }
+
+    const oversized = [];
+    for (const filePath of assetFiles) {
+        const { size } = await fs.stat(filePath);
+        if (size > limit) {
+            oversized.push({ file: filePath, name: assetNames[filePath] || path.basename(filePath), size });
+        }
+    }
+    if (oversized.length === 0) {
+        return { assetFiles, oversizeAssets: [] };
+    }
+
+    const description = oversized.map(asset => `${asset.name} (${formatBytes(asset.size)})`).join(', ');
+    const reason = `exceeds the ${label} size limit of ${formatBytes(limit)}`;
+    if (strategy === 'fail') {
+        throw new Error(`${oversized.length} asset(s) exceed the ${label} size limit of ${formatBytes(limit)}: ${description}. Set 'oversize-strategy' to skip or split to publish the release without them or in parts.`);
+    }
+
+    const remainingFiles = assetFiles.filter(filePath => !oversized.some(asset => asset.file === filePath));
+    const oversizeAssets = [];
+    const splitFiles = [];
+
+    for (const asset of oversized) {
+        if (strategy === 'skip') {
+            core.warning(`Skipping asset ${asset.name} (${formatBytes(asset.size)}) - It ${reason}`);
+            oversizeAssets.push({ file: asset.file, name: asset.name, action: 'oversize', status: 'skipped', size: asset.size, error: `Not uploaded: ${reason}` });
+        } else if (dryRun) {
+            core.info(`[PLAN] SPLIT asset ${asset.name} (${formatBytes(asset.size)}) into ${Math.ceil(asset.size / limit)} part(s) - It ${reason}`);
+            oversizeAssets.push({ file: asset.file, name: asset.name, action: 'split', status: 'planned', size: asset.size, error: null });
+        } else {
+            const files = await splitAssetFile(asset.file, asset.name, asset.size, limit);
+            core.warning(`Asset ${asset.name} (${formatBytes(asset.size)}) ${reason} - It is uploaded as ${files.length - 3} part(s) with a checksum file and reassembly scripts`);
+            oversizeAssets.push({ file: asset.file, name: asset.name, action: 'split', status: 'split', size: asset.size, error: null });
+            splitFiles.push(...files);
+        }
+    }
+
+    return { assetFiles: [...remainingFiles, ...splitFiles], oversizeAssets };
+}
+
+module.exports = {
+    OVERSIZE_STRATEGIES,
+    parseSize,
+    applyAssetSizeLimit
+};
@@ -0,0 +1,56 @@
+const path = require('path');
+const { getFileInfo } = require('./fileHandler');
+const { resolveAssetConflict } = require('./assetConflict');
+
+/**
+ * Works out what a real run would do with each local asset, without touching the release.
+ *
+ * Decisions are made by the same conflict resolution as a real upload, so the plan shows
+ * uploads, replacements, renames and skips exactly as they would happen. An asset that would
+ * stop the run (asset-conflict: fail) is reported as failed instead of throwing, so that the
+ * rest of the plan is still shown.
+ *
+ * @async
+ * @param {Object} options - Planning options
+ * @param {string[]} options.assetFiles - Paths of the local asset files
+ * @param {Object} [options.assetNames] - Map of file path to the asset name on the release (defaults to the file name)
+ * @param {Object[]} options.existingAssets - Normalized assets already on the release ({ name, size, digest })
+ * @param {string} options.policy - Conflict policy ("replace", "skip", "fail" or "rename")
+ * @param {string} options.compare - Compare mode ("name", "size" or "digest")
+ * @returns {Promise<Object[]>} Planned asset outcomes ({ file, name, action, status, size, reason, error }),
+ *   where status is "planned", "skipped" or "failed"
+ */
+async function planReleaseAssets({ assetFiles, assetNames = {}, existingAssets, policy, compare }) {
+    // Same as the driver: local names are claimed up front, so renames never take another local file's name
+    const takenNames = new Set([
+        ...existingAssets.map(asset => asset.name),
+        ...assetFiles.map(filePath => assetNames[filePath] || path.basename(filePath))
+    ]);
+    const plannedAssets = [];
+
+    for (const filePath of assetFiles) {
+        const fileInfo = await getFileInfo(filePath, assetNames[filePath]);
+        if (!fileInfo) {
+            plannedAssets.push({ file: filePath, name: null, action: 'invalid', status: 'skipped', size: null, reason: 'file information could not be read' });
+            continue;
+        }
+
+        try {
+            const decision = await resolveAssetConflict({ fileInfo, existingAssets, takenNames, policy, compare });
+            plannedAssets.push({
+                file: filePath,
+                name: decision.uploadName,
+                action: decision.action,
+                status: decision.action === 'skip' ? 'skipped' : 'planned',
+                size: fileInfo.size,
+                reason: decision.reason
+            });
+        } catch (error) {
+            plannedAssets.push({ file: filePath, name: fileInfo.name, action: 'fail', status: 'failed', size: fileInfo.size, reason: error.message, error: error.message });
+        }
+    }
+
+    return plannedAssets;
+}
+
+module.exports = { planReleaseAssets };
@@ -0,0 +1,211 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const {
+    tagExists,
+    generateGitHubReleaseNotes,
+    findPreviousGitHubReleaseTag,
+    listGitHubCommits,
+    getGitHubCompareUrl
+} = require('../platforms/github');
+
+// Supported ways of producing the release body
+const RELEASE_BODY_MODES = ['static', 'file', 'github', 'commits'];
+
+// Conventional commit groups in the order they appear in the notes
+const COMMIT_GROUPS = [
+    { key: 'breaking', title: '⚠️ Breaking Changes' },
+    { key: 'feat', title: '🚀 Features' },
+    { key: 'fix', title: '🐛 Fixes' },
+    { key: 'other', title: '🔧 Other Changes' }
+];
+
+/**
+ * Escapes a string for use inside a regular expression.
+ *
+ * @param {string} value - String to escape
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extracts the section of a changelog that belongs to a version.
+ *
+ * The section starts after the first Markdown heading naming the version (e.g. "## [1.2.0] - 2025-01-01",
+ * "## v1.2.0" or "# Version 1.2.0") and ends before the next heading of the same or a higher level.
+ * Headings of pre-releases of the version (e.g. "## [1.2.0-rc.1]") do not match.
+ *
+ * @param {string} content - Changelog content
+ * @param {string} version - Version to look for (without a leading "v")
+ * @returns {string|null} The trimmed section body, or null if no heading names the version
+ */
+function extractChangelogSection(content, version) {
+    const lines = content.split(/\r?\n/);
+    // A "-" right after the version continues a pre-release version ("## 1.2.0-rc.1"), after "]" it precedes a date
+    const headingPattern = new RegExp(`^(#{1,6})\\s+(?:version\\s+|release\\s+)?\\[?v?${escapeRegExp(version)}(?:\\](?=$|[\\s(:,-])|(?=$|[\\s(:,]))`, 'i');
+
+    const start = lines.findIndex(line => headingPattern.test(line));
+    if (start === -1) {
+        return null;
+    }
+
+    const level = lines[start].match(headingPattern)[1].length;
+    let end = lines.length;
+    for (let index = start + 1; index < lines.length; index++) {
+        const heading = lines[index].match(/^(#{1,6})\s/);
+        if (heading && heading[1].length <= level) {
+            end = index;
+            break;
+        }
+    }
+
+    return lines.slice(start + 1, end).join('\n').trim();
+}
+
+/**
+ * Reads the release body from a file. If the file is a changelog with a heading for the release's
+ * version, only that section is used; a file without any version heading is used as a whole.
+ *
+ * @async
+ * @param {string} filePath - Path of the notes or changelog file
+ * @param {string} tag - Tag of the release (a leading "v" is ignored when matching headings)
+ * @returns {Promise<string>} The release body
+ * @throws {Error} Throws if the file cannot be read, or it has version headings but none for this version
+ */
+async function readReleaseBodyFile(filePath, tag) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read release body file ${filePath}: ${error.message}`);
+    }
+
+    const version = tag.replace(/^v(?=\d)/i, '');
+    const section = extractChangelogSection(content, version);
+    if (section !== null) {
+        core.info(`Using the section for version ${version} from release body file ${filePath} (${section.length} characters)`);
+        return section;
+    }
+
+    if (/^#{1,6}\s+(?:version\s+|release\s+)?\[?v?\d+\.\d+/im.test(content)) {
+        throw new Error(`Release body file ${filePath} has no heading for version ${version} (tag: ${tag})`);
+    }
+
+    core.info(`Release body file ${filePath} has no version headings - Using the whole file (${content.trim().length} characters)`);
+    return content.trim();
+}
+
+/**
+ * Parses the subject of a commit message as a conventional commit ("type(scope)!: description").
+ *
+ * @param {string} message - Full commit message
+ * @returns {{type: string, scope: string|null, subject: string, breaking: boolean}} The parsed commit;
+ *   non-conventional commits have type "other" and their first line as subject
+ */
+function parseConventionalCommit(message) {
+    const [firstLine, ...rest] = message.split('\n');
+    const match = firstLine.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.+)$/);
+    const breakingFooter = /^BREAKING[ -]CHANGE:/m.test(rest.join('\n'));
+
+    if (!match) {
+        return { type: 'other', scope: null, subject: firstLine.trim(), breaking: breakingFooter };
+    }
+
+    return {
+        type: match[1].toLowerCase(),
+        scope: match[2] || null,
+        subject: match[4].trim(),
+        breaking: Boolean(match[3]) || breakingFooter
+    };
+}
+
+/**
+ * Builds Markdown release notes from commits, grouped into breaking changes, features, fixes and
+ * other changes by their conventional commit type. Merge commits are left out.
+ *
+ * @param {Array<{sha: string, message: string}>} commits - Commits of the release, newest first
+ * @param {string|null} compareUrl - URL of the full changelog, or null
+ * @returns {string} The release notes
+ */
+function buildCommitNotes(commits, compareUrl) {
+    const groups = Object.fromEntries(COMMIT_GROUPS.map(group => [group.key, []]));
+
+    for (const commit of commits) {
+        if (/^Merge (pull request|branch|remote-tracking branch) /.test(commit.message)) {
+            continue;
+        }
+        const parsed = parseConventionalCommit(commit.message);
+        const key = parsed.breaking ? 'breaking' : (groups[parsed.type] ? parsed.type : 'other');
+        const scope = parsed.scope ? `**${parsed.scope}:** ` : '';
+        groups[key].push(`- ${scope}${parsed.subject} (${commit.sha.slice(0, 7)})`);
+    }
+
+    const sections = COMMIT_GROUPS
+        .filter(group => groups[group.key].length > 0)
+        .map(group => `## ${group.title}\n\n${groups[group.key].join('\n')}`);
+    if (compareUrl) {
+        sections.push(`**Full Changelog**: ${compareUrl}`);
+    }
+
+    return sections.join('\n\n') || 'No changes.';
+}
+
+/**
+ * Produces the release body according to the release body mode.
+ *
+ * - "static": the 'release-body' input as is
+ * - "file": read from a file, using the section for the release's version if it is a changelog
+ * - "github": GitHub's generated release notes
+ * - "commits": commits since the previous tag, grouped by conventional commit type
+ *
+ * Notes are always generated from the GitHub repository (github-owner/github-repo, defaulting to the
+ * workflow's repository), so the same body can be published to platforms without a notes generator.
+ *
+ * @async
+ * @param {Object} options - Release body options
+ * @param {string} options.mode - Release body mode (one of RELEASE_BODY_MODES)
+ * @param {string} options.body - Static release body
+ * @param {string} [options.file] - Release body file (mode "file")
+ * @param {string} options.tag - Tag of the release
+ * @param {string} [options.previousTag] - Tag the notes start from (modes "github" and "commits");
+ *   defaults to the most recent published release
+ * @param {string|null} [options.tagCommit] - Commit being released, the end of the commit range if the tag does not exist on GitHub yet (mode "commits")
+ * @param {Object} [options.githubConfig] - Configuration of the GitHub adapter (modes "github" and "commits")
+ * @returns {Promise<string>} The release body
+ * @throws {Error} Throws if the file cannot be used, the end of the commit range cannot be determined or the GitHub API requests fail
+ */
+async function resolveReleaseBody({ mode, body, file, tag, previousTag, tagCommit, githubConfig }) {
+    switch (mode) {
+        case 'file':
+            return readReleaseBodyFile(file, tag);
+
+        case 'github':
+            return generateGitHubReleaseNotes(githubConfig, { tag, previousTag });
+
+        case 'commits': {
+            const baseTag = previousTag || await findPreviousGitHubReleaseTag(githubConfig, tag);
+
+            // Before the release is created the tag may only exist locally, so fall back to the target commit
+            const head = await tagExists(githubConfig, tag)
+                ? tag
+                : (githubConfig.targetCommitish || tagCommit);
+            if (!head) {
+                throw new Error(`Tag "${tag}" does not exist on GitHub and the commit being released is unknown - Set 'github-target-commitish' (or GITHUB_SHA) to the end of the commit range`);
+            }
+            core.info(`Collecting commits for release notes - Repository: ${githubConfig.owner}/${githubConfig.repo}, Range: ${baseTag || '(start)'}...${head}`);
+
+            const commits = await listGitHubCommits(githubConfig, { base: baseTag, head });
+            core.info(`Found ${commits.length} commit(s) for the release notes`);
+            return buildCommitNotes(commits, baseTag ? getGitHubCompareUrl(githubConfig, baseTag, tag) : null);
+        }
+
+        default:
+            return body;
+    }
+}
+
+module.exports = {
+    RELEASE_BODY_MODES,
+    resolveReleaseBody
+};
@@ -0,0 +1,59 @@
+const core = require('@actions/core');
+const path = require('path');
+const { getGitHubSourceRelease } = require('../platforms/github');
+const { getGiteeSourceRelease } = require('../platforms/gitee');
+const { createTempDirectory, downloadFile } = require('./fileHandler');
+
+// Platforms that releases can be mirrored from, mapped to their release readers
+const SOURCE_READERS = {
+    github: getGitHubSourceRelease,
+    gitee: getGiteeSourceRelease
+};
+
+/**
+ * Reads a release from the source platform and downloads all of its assets to a temporary directory.
+ *
+ * @async
+ * @param {Object} options - Source release options
+ * @param {string} options.platform - Source platform ("github" or "gitee")
+ * @param {string} options.token - Access token for the source platform
+ * @param {string} options.owner - Owner of the source repository
+ * @param {string} options.repo - Name of the source repository
+ * @param {string} options.tag - Tag of the release to mirror, or "latest"
+ * @param {string} [options.apiUrl] - API base URL of the source instance (GitHub Enterprise Server)
+ * @returns {Promise<Object>} Release metadata ({ tag, releaseName, body, draft, prerelease })
+ *   plus the local paths of the downloaded assets in assetFiles
+ * @throws {Error} Throws if the platform is not supported, the release is missing or a download fails
+ */
+async function loadSourceRelease({ platform, token, owner, repo, tag, apiUrl }) {
+    const readRelease = SOURCE_READERS[platform];
+    if (!readRelease) {
+        throw new Error(`Unsupported source platform: ${platform}. Supported values are: ${Object.keys(SOURCE_READERS).join(', ')}`);
+    }
+
+    const release = await readRelease({ token, owner, repo, tag, apiUrl });
+    const downloadDir = await createTempDirectory('source');
+    core.info(`Downloading ${release.assets.length} source asset(s) to: ${downloadDir}`);
+
+    const assetFiles = [];
+    for (const [index, asset] of release.assets.entries()) {
+        core.info(`Downloading source asset ${index + 1}/${release.assets.length}: ${asset.name} (${asset.size} bytes)`);
+        const destPath = path.join(downloadDir, path.basename(asset.name));
+        await downloadFile(asset.downloadUrl, destPath, { headers: asset.headers, params: asset.params });
+        assetFiles.push(destPath);
+    }
+
+    return {
+        tag: release.tag,
+        releaseName: release.releaseName,
+        body: release.body,
+        draft: release.draft,
+        prerelease: release.prerelease,
+        assetFiles
+    };
+}
+
+module.exports = {
+    SOURCE_PLATFORMS: Object.keys(SOURCE_READERS),
+    loadSourceRelease
+};
@@ -0,0 +1,192 @@
+const core = require('@actions/core');
+const fs = require('fs').promises;
+const path = require('path');
+const { formatBytes } = require('./fileHandler');
+
+/**
+ * Formats a duration in milliseconds for the job summary (e.g., "850 ms", "12.4 s").
+ *
+ * @param {number|null} duration - Duration in milliseconds
+ * @returns {string} Human-readable duration, or an empty string if unknown
+ */
+function formatDuration(duration) {
+    if (typeof duration !== 'number') {
+        return '';
+    }
+    return duration < 1000 ? `${duration} ms` : `${(duration / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Escapes text for the HTML of the job summary, so asset names and API error messages cannot
+ * break the table or inject markup.
+ *
+ * @param {*} value - Text to escape (other values are converted to strings)
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds the machine-readable report of a synchronization run.
+ *
+ * Every target platform appears in the report: platforms that completed list their assets,
+ * platforms that threw carry the error message, and platforms that never ran are "skipped".
+ *
+ * @param {Object} options - Report data
+ * @param {string} options.tag - Release tag that was synchronized
+ * @param {boolean} [options.dryRun=false] - Whether the run only planned changes
+ * @param {string[]} options.platforms - Target platforms, in order
+ * @param {Object} options.platformResults - Map of platform name to its { id, url, assets, cleanup } result
+ * @param {Object} options.platformErrors - Map of platform name to the error that aborted it
+ * @param {number} options.startedAt - Start time of the run (milliseconds since the epoch)
+ * @returns {Object} The report ({ tag, dryRun, startedAt, finishedAt, duration, success, platforms })
+ */
+function buildSyncReport({ tag, dryRun = false, platforms, platformResults, platformErrors, startedAt }) {
+    const finishedAt = Date.now();
+
+    const platformReports = platforms.map(platform => {
+        const result = platformResults[platform];
+        const error = platformErrors[platform];
+        const assets = (result && result.assets) || [];
+
+        let status = 'skipped';
+        if (error) {
+            status = 'failed';
+        } else if (result) {
+            status = assets.some(asset => asset.status === 'failed') ? 'partial' : 'success';
+        }
+
+        return {
+            platform,
+            status,
+            error: error ? error.message : null,
+            releaseId: result && result.id ? result.id : null,
+            releaseUrl: result && result.url ? result.url : null,
+            assets: assets.map(asset => ({
+                name: asset.name,
+                file: asset.file,
+                action: asset.action,
+                status: asset.status,
+                size: typeof asset.size === 'number' ? asset.size : null,
+                duration: typeof asset.duration === 'number' ? asset.duration : null,
+                url: asset.url || null,
+                error: asset.error || null
+            })),
+            cleanup: (result && result.cleanup) || []
+        };
+    });
+
+    return {
+        tag,
+        dryRun,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date(finishedAt).toISOString(),
+        duration: finishedAt - startedAt,
+        success: platformReports.every(report => report.status === 'success'),
+        platforms: platformReports
+    };
+}
+
+/**
+ * Writes the report as a Markdown job summary (release links and a platform × asset table).
+ * Does nothing when the step is not running on GitHub Actions.
+ *
+ * @async
+ * @param {Object} report - Report returned by buildSyncReport()
+ */
+async function writeJobSummary(report) {
+    if (!process.env.GITHUB_STEP_SUMMARY) {
+        core.debug('GITHUB_STEP_SUMMARY is not set - Skipping job summary');
+        return;
+    }
+
+    const statusIcons = { success: '✅', partial: '⚠️', failed: '❌', skipped: '⏭️', uploaded: '✅', planned: '📝', split: '✂️', deleted: '🗑️' };
+    const withIcon = status => `${statusIcons[status] || ''} ${status}`.trim();
+
+    core.summary.addHeading(`Release Sync${report.dryRun ? ' (dry run)' : ''}: ${escapeHtml(report.tag)}`, 2);
+    core.summary.addList(report.platforms.map(platformReport => {
+        const release = platformReport.releaseUrl
+            ? `<a href="${escapeHtml(platformReport.releaseUrl)}">${escapeHtml(platformReport.releaseUrl)}</a>`
+            : report.dryRun ? 'release would be created' : 'no release';
+        const error = platformReport.error ? ` - ${escapeHtml(platformReport.error)}` : '';
+        return `<b>${escapeHtml(platformReport.platform)}</b>: ${withIcon(platformReport.status)} (${release})${error}`;
+    }));
+
+    const rows = [[
+        { data: 'Platform', header: true },
+        { data: 'Asset', header: true },
+        { data: 'Action', header: true },
+        { data: 'Status', header: true },
+        { data: 'Size', header: true },
+        { data: 'Duration', header: true },
+        { data: 'Error', header: true }
+    ]];
+    for (const platformReport of report.platforms) {
+        for (const asset of platformReport.assets) {
+            // Empty cells are rendered as "-" since the summary table omits the closing tag of empty cells;
+            // the summary inserts cell contents as HTML, so they are escaped
+            rows.push([
+                platformReport.platform,
+                asset.name || asset.file,
+                asset.action,
+                withIcon(asset.status),
+                asset.size === null ? '' : formatBytes(asset.size),
+                formatDuration(asset.duration),
+                asset.error
+            ].map(cell => (cell ? escapeHtml(cell) : '-')));
+        }
+    }
+
+    if (rows.length > 1) {
+        core.summary.addTable(rows);
+    } else {
+        core.summary.addRaw('No release assets were processed.', true);
+    }
+    // Releases removed by the retention policy get a table of their own
+    const cleanupRows = report.platforms.flatMap(platformReport => platformReport.cleanup.map(removal => [
+        platformReport.platform,
+        removal.tag,
+        removal.reason,
+        withIcon(removal.status),
+        removal.error
+    ].map(cell => (cell ? escapeHtml(cell) : '-'))));
+    if (cleanupRows.length > 0) {
+        core.summary.addHeading('Release Cleanup', 3);
+        core.summary.addTable([[
+            { data: 'Platform', header: true },
+            { data: 'Tag', header: true },
+            { data: 'Reason', header: true },
+            { data: 'Status', header: true },
+            { data: 'Error', header: true }
+        ], ...cleanupRows]);
+    }
+    core.summary.addRaw(`Finished in ${formatDuration(report.duration)}.`, true);
+
+    await core.summary.write();
+    core.info('Job summary written');
+}
+
+/**
+ * Writes the report as a JSON file, creating its directory if needed.
+ *
+ * @async
+ * @param {Object} report - Report returned by buildSyncReport()
+ * @param {string} reportFile - Destination path of the JSON report
+ */
+async function writeReportFile(report, reportFile) {
+    await fs.mkdir(path.dirname(reportFile), { recursive: true });
+    await fs.writeFile(reportFile, `${JSON.stringify(report, null, 2)}\n`);
+    core.info(`Synchronization report written to: ${reportFile}`);
+}
+
+module.exports = {
+    buildSyncReport,
+    writeJobSummary,
+    writeReportFile
+};
@@ -0,0 +1,224 @@
+const core = require('@actions/core');
+
+// HTTP status codes that indicate a transient failure worth retrying
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Low-level network error codes (Node.js, axios and undici) that indicate a transient failure
+const RETRYABLE_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT'
+];
+
+// Network error codes raised before a request reached the server, so a non-idempotent request can be sent again
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// HTTP status codes with which the server rejects a request without processing it
+const UNPROCESSED_STATUS_CODES = [408, 425, 429];
+
+// HTTP methods whose requests may have created something even if they failed (PATCH requests of the
+// adapters set absolute values, so repeating them is harmless)
+const NON_IDEMPOTENT_METHODS = ['POST'];
+
+// Shared retry settings, configured once per run via configureRetry()
+const retrySettings = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 300000
+};
+
+/**
+ * Updates the shared retry settings used by every platform API call.
+ *
+ * @param {Object} options - Retry settings to override
+ * @param {number} [options.maxRetries] - Maximum number of retries after the first attempt
+ * @param {number} [options.baseDelay] - Base delay in milliseconds for exponential backoff
+ * @param {number} [options.maxDelay] - Longest delay in milliseconds the action is willing to wait before a retry
+ */
+function configureRetry(options = {}) {
+    for (const key of Object.keys(retrySettings)) {
+        if (Number.isFinite(options[key]) && options[key] >= 0) {
+            retrySettings[key] = options[key];
+        }
+    }
+    core.debug(`Retry settings configured: ${JSON.stringify(retrySettings)}`);
+}
+
+/**
+ * Extracts the HTTP status code from an Octokit or axios error.
+ *
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {number|undefined} The HTTP status code, if the server responded
+ */
+function getErrorStatus(error) {
+    return error.status || (error.response && error.response.status) || undefined;
+}
+
+/**
+ * Reads a response header from an Octokit or axios error, case-insensitively.
+ *
+ * @param {Error} error - Error thrown by the HTTP client
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} The header value, if present
+ */
+function getErrorHeader(error, name) {
+    const headers = error.response && error.response.headers;
+    if (!headers) {
+        return undefined;
+    }
+    if (typeof headers.get === 'function') {
+        return headers.get(name) || undefined;
+    }
+    return headers[name];
+}
+
+/**
+ * Checks whether an error is a (primary or secondary) rate limit response.
+ *
+ * GitHub reports rate limits with 403 as well as 429, so a 403 only counts as a rate limit
+ * when the headers or message say so; any other 403 remains fatal.
+ *
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {boolean} True if the request was rejected because of a rate limit
+ */
+function isRateLimitError(error) {
+    const status = getErrorStatus(error);
+    if (status === 429) {
+        return true;
+    }
+    if (status !== 403) {
+        return false;
+    }
+
+    return Boolean(getErrorHeader(error, 'retry-after'))
+        || getErrorHeader(error, 'x-ratelimit-remaining') === '0'
+        || /rate limit/i.test(error.message || '');
+}
+
+/**
+ * Checks whether repeating a request with the given HTTP method can have no other effect than the
+ * first attempt.
+ *
+ * @param {string} [method='GET'] - HTTP method (case-insensitive)
+ * @returns {boolean} False for methods that create something on every request (POST)
+ */
+function isIdempotentMethod(method = 'GET') {
+    return !NON_IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+}
+
+/**
+ * Classifies an error as retryable (5xx, 429, rate limits, network resets) or fatal
+ * (authentication, permission, validation and other 4xx errors).
+ *
+ * A non-idempotent request (e.g., creating a release) is only retried if it certainly was not
+ * processed: rate limits, 408/425/429 responses and connection failures. After a server error or a
+ * timeout it may have succeeded, and sending it again would create a duplicate.
+ *
+ * @param {Error} error - Error thrown by the HTTP client
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.idempotent=true] - Whether the request can safely be repeated
+ * @returns {boolean} True if the failed request may succeed when retried
+ */
+function isRetryableError(error, { idempotent = true } = {}) {
+    if (isRateLimitError(error)) {
+        return true;
+    }
+
+    const status = getErrorStatus(error);
+    if (status) {
+        return (idempotent ? RETRYABLE_STATUS_CODES : UNPROCESSED_STATUS_CODES).includes(status);
+    }
+
+    const code = error.code || (error.cause && error.cause.code);
+    return (idempotent ? RETRYABLE_ERROR_CODES : CONNECTION_ERROR_CODES).includes(code);
+}
+
+/**
+ * Computes how long to wait before the next attempt.
+ *
+ * Server instructions (Retry-After, X-RateLimit-Reset) take precedence; otherwise exponential
+ * backoff with jitter is used.
+ *
+ * @param {Error} error - Error thrown by the failed attempt
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+    const retryAfter = getErrorHeader(error, 'retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+        if (Number.isFinite(delay)) {
+            return Math.max(delay, 0);
+        }
+    }
+
+    const rateLimitReset = getErrorHeader(error, 'x-ratelimit-reset');
+    if (rateLimitReset && isRateLimitError(error)) {
+        return Math.max(Number(rateLimitReset) * 1000 - Date.now(), 0) + 1000;
+    }
+
+    const exponentialDelay = retrySettings.baseDelay * Math.pow(2, attempt);
+    return Math.round(exponentialDelay / 2 + Math.random() * exponentialDelay / 2);
+}
+
+/**
+ * Runs an API call, retrying transient failures with exponential backoff.
+ *
+ * The operation is invoked again for every attempt, so request bodies (form data, streams)
+ * must be created inside it rather than reused across attempts.
+ *
+ * @async
+ * @param {Function} operation - Async function performing the request
+ * @param {string} description - Human-readable description of the request for log messages
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.idempotent=true] - Whether the request can safely be repeated; set to false for
+ *   requests that create something (see isRetryableError())
+ * @returns {Promise<*>} The value returned by the first successful attempt
+ * @throws {Error} The last error if it is fatal, the retries are exhausted or the requested wait exceeds the maximum delay
+ */
+async function withRetry(operation, description, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!isRetryableError(error, { idempotent })) {
+                if (!idempotent && isRetryableError(error)) {
+                    core.warning(`${description} failed and is not retried, because the server may have processed it: ${error.message}`);
+                }
+                throw error;
+            }
+            if (attempt >= retrySettings.maxRetries) {
+                core.warning(`${description} failed after ${attempt + 1} attempt(s): ${error.message}`);
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt);
+            if (delay > retrySettings.maxDelay) {
+                core.warning(`${description} failed and the server asked to wait ${Math.ceil(delay / 1000)}s, which exceeds the maximum retry delay - Giving up`);
+                throw error;
+            }
+
+            const status = getErrorStatus(error);
+            core.warning(`${description} failed (attempt ${attempt + 1}/${retrySettings.maxRetries + 1}, ${status ? `status ${status}` : error.code || 'network error'}): ${error.message} - Retrying in ${Math.ceil(delay / 1000)}s`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    configureRetry,
+    isIdempotentMethod,
+    isRetryableError,
+    getRetryDelay,
+    withRetry
+};
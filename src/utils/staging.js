@@ -0,0 +1,81 @@
+const core = require('@actions/core');
+
+// Supported strategies for making a release visible: at once, or only after every platform has all of its assets
+const PUBLISH_STRATEGIES = ['direct', 'staged'];
+
+// Release notes shown on platforms without drafts while a staged release is still incomplete
+const PLACEHOLDER_BODY = 'This release is being published and its assets are still being uploaded. Please check back in a few minutes.';
+
+/**
+ * Returns the release metadata used while a release is staged.
+ *
+ * Platforms with drafts (adapter.supportsDrafts) stage the release as a draft. Other platforms
+ * (e.g., Gitee) cannot hide a release, so it is staged as a pre-release with a placeholder name
+ * and body, which keeps it from being shown as the latest release and tells visitors to wait.
+ * Only releases created by the run are staged; an existing release keeps its current metadata.
+ *
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} release - Final release metadata ({ releaseName, body, draft, prerelease })
+ * @returns {Object} The staged release metadata ({ releaseName, body, draft, prerelease })
+ */
+function getStagedRelease(adapter, release) {
+    if (adapter.supportsDrafts) {
+        return { ...release, draft: true };
+    }
+    return {
+        releaseName: `${release.releaseName} (publishing)`,
+        body: PLACEHOLDER_BODY,
+        draft: false,
+        prerelease: true
+    };
+}
+
+/**
+ * Publishes the staged release of every platform with its final metadata.
+ *
+ * Publishing a draft can change the URLs of the release and its assets (e.g., GitHub serves drafts
+ * under an "untagged-..." URL), so the results are updated with the published release and the
+ * asset URLs it reports.
+ *
+ * @async
+ * @param {Object} targets - Map of platform to its { adapter, config }
+ * @param {Object} platformResults - Map of platform to its staged result ({ release, assets, staging }); results
+ *   without staging (an existing release left untouched) are skipped
+ * @param {string} tag - Tag of the release
+ * @returns {Promise<Object>} Map of platform to the error that stopped its publication (empty if all were published)
+ */
+async function promoteStagedReleases(targets, platformResults, tag) {
+    const errors = {};
+
+    for (const [platform, result] of Object.entries(platformResults)) {
+        // Releases left untouched (release-mode skip-if-exists) have nothing to publish
+        if (!result.staging) {
+            continue;
+        }
+        const { adapter, config } = targets[platform];
+        const label = adapter.displayName || adapter.name;
+        try {
+            core.info(`Publishing staged ${label} release for tag ${tag} (Target: ${platform})`);
+            const release = await adapter.createOrUpdateRelease(config, { existingRelease: result.release, tag, ...result.staging.final });
+
+            const assetUrls = new Map((await adapter.listAssets(config, release)).map(asset => [asset.name, asset.url]));
+            for (const asset of result.assets) {
+                asset.url = assetUrls.get(asset.name) || asset.url;
+            }
+            Object.assign(result, { id: release.id, url: release.url, release });
+            core.info(`Staged ${label} release published - URL: ${release.url}`);
+        } catch (error) {
+            core.error(`Failed to publish staged ${label} release: ${error.message}`);
+            errors[platform] = error;
+            break;
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    PUBLISH_STRATEGIES,
+    getStagedRelease,
+    promoteStagedReleases
+};
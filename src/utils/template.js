@@ -0,0 +1,193 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const path = require('path');
+const { computeFileDigest } = require('./fileHandler');
+const { splitFileName } = require('./assetConflict');
+
+// Placeholders look like "{{ name }}" or "{{ name:argument }}", e.g. "{{ url:app.zip }}"
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)(?::([^}]+?))?\s*\}\}/g;
+
+/**
+ * Replaces the placeholders of a template with the values of its variables.
+ *
+ * A variable is either a string or a function receiving the placeholder argument (e.g., the asset
+ * name of "{{ url:app.zip }}") and returning a string, or null if it has no value for the argument.
+ * Placeholders without a value are left in the text unchanged, so text that merely looks like a
+ * placeholder (e.g., in generated release notes) survives rendering.
+ *
+ * @param {string} template - Text containing placeholders
+ * @param {Object} variables - Map of variable name to a string or function
+ * @returns {{text: string, unresolved: string[]}} The rendered text and the placeholders left unchanged
+ */
+function renderTemplate(template, variables) {
+    const unresolved = [];
+    const text = template.replace(PLACEHOLDER_PATTERN, (placeholder, name, argument) => {
+        const variable = variables[name];
+        const value = typeof variable === 'function'
+            ? variable(argument === undefined ? undefined : argument.trim())
+            : (argument === undefined ? variable : undefined);
+
+        if (value === undefined || value === null) {
+            unresolved.push(placeholder);
+            return placeholder;
+        }
+        return String(value);
+    });
+
+    return { text, unresolved };
+}
+
+/**
+ * Checks whether a template uses any placeholder.
+ *
+ * @param {string} template - Text to check
+ * @returns {boolean} True if the text contains at least one placeholder
+ */
+function hasPlaceholders(template) {
+    return new RegExp(PLACEHOLDER_PATTERN.source).test(template || '');
+}
+
+/**
+ * Returns the variables shared by every template of a release.
+ *
+ * @param {string} tag - Tag of the release
+ * @returns {Object} Variables tag, version (the tag without a leading "v"), sha, short_sha and date (YYYY-MM-DD, UTC)
+ */
+function getReleaseVariables(tag) {
+    const sha = process.env.GITHUB_SHA || github.context.sha || '';
+    return {
+        tag,
+        version: tag.replace(/^v(?=\d)/i, ''),
+        sha,
+        short_sha: sha.slice(0, 7),
+        date: new Date().toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Renders the asset names of all asset files: the name given in 'asset-files' ("path => name"),
+ * otherwise the 'asset-name-template', otherwise the file name.
+ *
+ * Besides the release variables, the templates can use name (the file name), stem (the file name
+ * without its extension) and ext (the extension including the dot, e.g. ".tar.gz").
+ *
+ * @param {string} template - Asset name template, e.g. "{{ stem }}-{{ version }}{{ ext }}" (empty keeps the file names)
+ * @param {string[]} assetFiles - Paths of the asset files
+ * @param {Object} releaseVariables - Variables returned by getReleaseVariables()
+ * @param {Object} [options] - Asset name options
+ * @param {Object} [options.explicitNames] - Map of file path to the name (template) given in 'asset-files'
+ * @param {Object} [options.platforms] - Map of file path to the platforms the file is limited to
+ * @returns {Object} Map of file path to the asset name on the release
+ * @throws {Error} Throws if a template uses an unknown placeholder or two files of the same platform get the same name
+ */
+function renderAssetNames(template, assetFiles, releaseVariables, { explicitNames = {}, platforms = {} } = {}) {
+    const assetNames = {};
+    const fileByName = new Map();
+    const sharePlatform = (first, second) => !platforms[first] || !platforms[second]
+        || platforms[first].some(platform => platforms[second].includes(platform));
+
+    for (const filePath of assetFiles) {
+        const name = path.basename(filePath);
+        const fileTemplate = explicitNames[filePath] || template || name;
+        const { stem, extension } = splitFileName(name);
+        const { text, unresolved } = renderTemplate(fileTemplate, { ...releaseVariables, name, stem, ext: extension });
+
+        if (unresolved.length > 0) {
+            throw new Error(`Asset name template "${fileTemplate}" uses unknown placeholder(s): ${unresolved.join(', ')}`);
+        }
+        if (!text || /[\\/]/.test(text)) {
+            throw new Error(`Asset name template "${fileTemplate}" renders "${text}" for ${filePath}, which is not a valid file name`);
+        }
+        const clash = (fileByName.get(text) || []).find(otherPath => sharePlatform(otherPath, filePath));
+        if (clash) {
+            throw new Error(`Assets ${clash} and ${filePath} would both be uploaded as "${text}"`);
+        }
+
+        fileByName.set(text, [...(fileByName.get(text) || []), filePath]);
+        assetNames[filePath] = text;
+    }
+
+    return assetNames;
+}
+
+/**
+ * Computes the SHA-256 digest of every asset, keyed by its name on the release.
+ *
+ * @async
+ * @param {string[]} assetFiles - Paths of the asset files
+ * @param {Object} assetNames - Map of file path to asset name (files without an entry keep their file name)
+ * @returns {Promise<Object>} Map of asset name to hex-encoded SHA-256 digest
+ */
+async function computeAssetChecksums(assetFiles, assetNames) {
+    const checksums = {};
+    for (const filePath of assetFiles) {
+        checksums[assetNames[filePath] || path.basename(filePath)] = await computeFileDigest(filePath, 'sha256');
+    }
+    return checksums;
+}
+
+/**
+ * Returns the variables of the release name and body templates of one platform.
+ *
+ * In addition to the release variables:
+ * - platform: the platform (or config file target id)
+ * - sha256:<asset>: the SHA-256 digest of an asset
+ * - url:<asset>: the download URL of an asset on this platform
+ * - assets: a Markdown list linking every asset on this platform, with its SHA-256 digest
+ *
+ * Download URLs are predicted with the adapter's optional getAssetDownloadUrl(), because the body
+ * is written before the assets are uploaded.
+ *
+ * @param {Object} options - Template options
+ * @param {Object} options.releaseVariables - Variables returned by getReleaseVariables()
+ * @param {string} options.platform - Platform name or target id
+ * @param {Object} options.adapter - Platform adapter
+ * @param {Object} options.config - Platform configuration
+ * @param {string} options.tag - Tag of the release
+ * @param {string[]} options.assetNames - Names of the assets published to the platform
+ * @param {Object} options.checksums - Map of asset name to SHA-256 digest
+ * @returns {Object} The template variables
+ */
+function getPlatformVariables({ releaseVariables, platform, adapter, config, tag, assetNames, checksums }) {
+    const getUrl = name => (adapter.getAssetDownloadUrl && name ? adapter.getAssetDownloadUrl(config, tag, name) : null);
+
+    return {
+        ...releaseVariables,
+        platform,
+        sha256: name => checksums[name] || null,
+        url: name => (assetNames.includes(name) ? getUrl(name) : null),
+        assets: () => assetNames
+            .map(name => {
+                const url = getUrl(name);
+                const link = url ? `[${name}](${url})` : name;
+                return checksums[name] ? `- ${link} (SHA-256: \`${checksums[name]}\`)` : `- ${link}`;
+            })
+            .join('\n')
+    };
+}
+
+/**
+ * Renders a release name or body template and warns about placeholders without a value.
+ *
+ * @param {string} template - Text to render
+ * @param {Object} variables - Template variables
+ * @param {string} label - Description of the text for the warning (e.g., "Gitee release body")
+ * @returns {string} The rendered text
+ */
+function renderReleaseText(template, variables, label) {
+    const { text, unresolved } = renderTemplate(template, variables);
+    if (unresolved.length > 0) {
+        core.warning(`${label} contains placeholder(s) without a value, which are kept as is: ${[...new Set(unresolved)].join(', ')}`);
+    }
+    return text;
+}
+
+module.exports = {
+    renderTemplate,
+    hasPlaceholders,
+    getReleaseVariables,
+    renderAssetNames,
+    computeAssetChecksums,
+    getPlatformVariables,
+    renderReleaseText
+};
@@ -0,0 +1,118 @@
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { resolveAssetConflict, findDuplicateAssetNames } = require('../src/utils/assetConflict');
+
+const CONTENT = 'release asset content';
+const DIGEST = `sha256:${crypto.createHash('sha256').update(CONTENT).digest('hex')}`;
+
+let directory;
+let fileInfo;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    const filePath = path.join(directory, 'app.tar.gz');
+    fs.writeFileSync(filePath, CONTENT);
+    fileInfo = { name: 'app.tar.gz', path: filePath, size: Buffer.byteLength(CONTENT) };
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Resolves the conflict of the local test file with the given existing assets.
+ *
+ * @param {Object[]} existingAssets - Assets already attached to the release
+ * @param {Object} options - Policy, compare mode and optionally the taken names
+ * @returns {Promise<Object>} The upload decision
+ */
+function resolve(existingAssets, { policy = 'fail', compare = 'name', takenNames } = {}) {
+    return resolveAssetConflict({
+        fileInfo,
+        existingAssets,
+        takenNames: takenNames || new Set(existingAssets.map(asset => asset.name)),
+        policy,
+        compare
+    });
+}
+
+test('uploads an asset whose name is not on the release yet', async () => {
+    const takenNames = new Set(['other.zip']);
+    const decision = await resolve([{ id: 1, name: 'other.zip', size: 1 }], { takenNames });
+
+    assert.strictEqual(decision.action, 'upload');
+    assert.strictEqual(decision.uploadName, 'app.tar.gz');
+    assert.ok(takenNames.has('app.tar.gz'));
+});
+
+test('compares by name only, so an identical existing asset still conflicts', async () => {
+    const existing = { id: 1, name: 'app.tar.gz', size: fileInfo.size, digest: DIGEST };
+
+    assert.strictEqual((await resolve([existing], { policy: 'replace' })).action, 'replace');
+    assert.strictEqual((await resolve([existing], { policy: 'skip' })).action, 'skip');
+});
+
+test('skips an existing asset of the same size when comparing by size', async () => {
+    const decision = await resolve([{ id: 1, name: 'app.tar.gz', size: fileInfo.size, digest: null }], { policy: 'replace', compare: 'size' });
+    assert.strictEqual(decision.action, 'skip');
+    assert.match(decision.reason, /identical \(compared by size\)/);
+
+    const changed = await resolve([{ id: 1, name: 'app.tar.gz', size: fileInfo.size + 1, digest: null }], { policy: 'replace', compare: 'size' });
+    assert.strictEqual(changed.action, 'replace');
+});
+
+test('compares the digest when the platform reports one', async () => {
+    const same = await resolve([{ id: 1, name: 'app.tar.gz', size: fileInfo.size, digest: DIGEST }], { policy: 'replace', compare: 'digest' });
+    assert.strictEqual(same.action, 'skip');
+
+    const otherDigest = `sha256:${'0'.repeat(64)}`;
+    const changed = await resolve([{ id: 1, name: 'app.tar.gz', size: fileInfo.size, digest: otherDigest }], { policy: 'replace', compare: 'digest' });
+    assert.strictEqual(changed.action, 'replace');
+
+    // Without a digest the sizes decide
+    const sizeOnly = await resolve([{ id: 1, name: 'app.tar.gz', size: fileInfo.size, digest: null }], { policy: 'replace', compare: 'digest' });
+    assert.strictEqual(sizeOnly.action, 'skip');
+});
+
+test('treats an asset without size and digest as different', async () => {
+    const decision = await resolve([{ id: 1, name: 'app.tar.gz', size: null, digest: null }], { policy: 'replace', compare: 'digest' });
+    assert.strictEqual(decision.action, 'replace');
+});
+
+test('renames to the first name that is neither on the release nor a local asset', async () => {
+    const existingAssets = [
+        { id: 1, name: 'app.tar.gz', size: 1 },
+        { id: 2, name: 'app-1.tar.gz', size: 1 }
+    ];
+    // app-2.tar.gz is the name of another local file of this run
+    const takenNames = new Set(['app.tar.gz', 'app-1.tar.gz', 'app-2.tar.gz']);
+
+    const decision = await resolve(existingAssets, { policy: 'rename', takenNames });
+
+    assert.strictEqual(decision.action, 'rename');
+    assert.strictEqual(decision.uploadName, 'app-3.tar.gz');
+    assert.ok(takenNames.has('app-3.tar.gz'));
+});
+
+test('fails on a conflicting asset with the fail policy', async () => {
+    await assert.rejects(
+        resolve([{ id: 1, name: 'app.tar.gz', size: 1 }], { policy: 'fail' }),
+        /Asset "app\.tar\.gz" already exists on the release \(asset-conflict: fail\)/
+    );
+});
+
+test('finds local files that would be uploaded under the same name', () => {
+    const assetFiles = ['dist/linux/app.zip', 'dist/windows/app.zip', 'dist/app.tar.gz', 'dist/readme.txt'];
+
+    assert.deepStrictEqual(findDuplicateAssetNames(assetFiles, {}), {
+        'app.zip': ['dist/linux/app.zip', 'dist/windows/app.zip']
+    });
+    assert.deepStrictEqual(findDuplicateAssetNames(assetFiles, { 'dist/windows/app.zip': 'app-windows.zip' }), {});
+    assert.deepStrictEqual(findDuplicateAssetNames(assetFiles, { 'dist/windows/app.zip': 'app-windows.zip', 'dist/readme.txt': 'app.tar.gz' }), {
+        'app.tar.gz': ['dist/app.tar.gz', 'dist/readme.txt']
+    });
+});
@@ -0,0 +1,161 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { parseAssetSpec, resolveAssetSpec, filterPlatformAssets } = require('../src/utils/assetSpec');
+const { renderAssetNames } = require('../src/utils/template');
+
+const RELEASE_VARIABLES = { tag: 'v1.2.0', version: '1.2.0', sha: '', short_sha: '', date: '2024-01-01' };
+
+let workspace;
+let originalCwd;
+
+before(() => {
+    originalCwd = process.cwd();
+    workspace = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-')));
+    for (const file of ['dist/app-linux.tar.gz', 'dist/app-windows.zip', 'dist/app.debug.zip', 'dist/My App.exe', 'docs/README.md']) {
+        fs.mkdirSync(path.join(workspace, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(workspace, file), file);
+    }
+    process.chdir(workspace);
+});
+
+after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+/**
+ * Returns the absolute path of a file in the test workspace.
+ *
+ * @param {string} file - Path relative to the workspace
+ * @returns {string} The absolute path
+ */
+function inWorkspace(file) {
+    return path.join(workspace, file);
+}
+
+test('parseAssetSpec reads patterns, names, exclusions and options', () => {
+    const entries = parseAssetSpec([
+        '# comment',
+        'dist/*.zip docs/*.md',
+        '',
+        '"dist/My App.exe" => app-{{ version }}.exe | platforms: GitHub, gitee',
+        '!dist/*.debug.*'
+    ].join('\n'));
+
+    assert.deepStrictEqual(entries, [
+        { line: 2, exclude: false, patterns: ['dist/*.zip', 'docs/*.md'], name: null, platforms: null, archive: null },
+        { line: 4, exclude: false, patterns: ['dist/My App.exe'], name: 'app-{{ version }}.exe', platforms: ['github', 'gitee'], archive: null },
+        { line: 5, exclude: true, patterns: ['dist/*.debug.*'], name: null, platforms: null, archive: null }
+    ]);
+});
+
+test('parseAssetSpec reports every invalid line at once', () => {
+    assert.throws(() => parseAssetSpec([
+        'dist/app.zip => a b',
+        'dist/app.zip => dir/app.zip',
+        '!dist/*.zip => app.zip',
+        'dist/app.zip | owner: me',
+        'dist/app.zip | platforms:',
+        '"dist/app.zip'
+    ].join('\n')), error => {
+        assert.match(error.message, /^Invalid 'asset-files' input parameter:/);
+        assert.match(error.message, /line 1 .*exactly one asset name/);
+        assert.match(error.message, /line 2 .*"dir\/app\.zip" is not a valid asset name/);
+        assert.match(error.message, /line 3 .*exclusions cannot rename files/);
+        assert.match(error.message, /line 4 .*unknown option "owner: me"/);
+        assert.match(error.message, /line 5 .*needs at least one platform/);
+        assert.match(error.message, /line 6 .*unterminated " quote/);
+        return true;
+    });
+});
+
+test('resolveAssetSpec applies exclusions to every entry', async () => {
+    const { files, names, platforms } = await resolveAssetSpec(parseAssetSpec('dist/*\n!*.debug.*\n!dist/*.exe'));
+
+    assert.deepStrictEqual(files.sort(), [inWorkspace('dist/app-linux.tar.gz'), inWorkspace('dist/app-windows.zip')]);
+    assert.deepStrictEqual(names, {});
+    assert.deepStrictEqual(platforms, {});
+});
+
+test('resolveAssetSpec maps renamed files to their names', async () => {
+    const { files, names } = await resolveAssetSpec(parseAssetSpec('"dist/My App.exe" => app.exe\ndocs/README.md'));
+
+    assert.deepStrictEqual(files, [inWorkspace('dist/My App.exe'), inWorkspace('docs/README.md')]);
+    assert.deepStrictEqual(names, { [inWorkspace('dist/My App.exe')]: 'app.exe' });
+});
+
+test('resolveAssetSpec requires a renamed entry to match exactly one file', async () => {
+    await assert.rejects(
+        resolveAssetSpec(parseAssetSpec('dist/*.zip => app.zip')),
+        /line 1 renames its file to "app\.zip", so it must match exactly one file, but it matched 2/
+    );
+});
+
+test('the last entry matching a file decides its platforms', async () => {
+    const { files, platforms } = await resolveAssetSpec(parseAssetSpec([
+        'dist/*.zip | platforms: gitee',
+        'dist/app-linux.tar.gz | platforms: github',
+        'dist/app-windows.zip'
+    ].join('\n')));
+
+    assert.deepStrictEqual(platforms, {
+        [inWorkspace('dist/app.debug.zip')]: ['gitee'],
+        [inWorkspace('dist/app-linux.tar.gz')]: ['github']
+    });
+
+    assert.deepStrictEqual(filterPlatformAssets(files, platforms, ['gitee']).sort(), [
+        inWorkspace('dist/app-windows.zip'),
+        inWorkspace('dist/app.debug.zip')
+    ]);
+    assert.deepStrictEqual(filterPlatformAssets(files, platforms, ['mirror', 'GitHub']).sort(), [
+        inWorkspace('dist/app-linux.tar.gz'),
+        inWorkspace('dist/app-windows.zip')
+    ]);
+});
+
+test('renderAssetNames prefers the "=>" name over the template', () => {
+    const names = renderAssetNames('{{ stem }}-{{ version }}{{ ext }}', ['/dist/app.tar.gz', '/dist/My App.exe'], RELEASE_VARIABLES, {
+        explicitNames: { '/dist/My App.exe': 'app-{{ tag }}.exe' }
+    });
+
+    assert.deepStrictEqual(names, {
+        '/dist/app.tar.gz': 'app-1.2.0.tar.gz',
+        '/dist/My App.exe': 'app-v1.2.0.exe'
+    });
+});
+
+test('renderAssetNames rejects unknown placeholders and invalid names', () => {
+    assert.throws(
+        () => renderAssetNames('{{ stem }}-{{ arch }}{{ ext }}', ['/dist/app.zip'], RELEASE_VARIABLES),
+        /uses unknown placeholder\(s\): \{\{ arch \}\}/
+    );
+    assert.throws(
+        () => renderAssetNames('{{ version }}/{{ name }}', ['/dist/app.zip'], RELEASE_VARIABLES),
+        /renders "1\.2\.0\/app\.zip" for \/dist\/app\.zip, which is not a valid file name/
+    );
+});
+
+test('renderAssetNames rejects two files of one platform with the same name', () => {
+    const files = ['/linux/app.zip', '/windows/app.zip'];
+
+    assert.throws(
+        () => renderAssetNames('', files, RELEASE_VARIABLES),
+        /Assets \/linux\/app\.zip and \/windows\/app\.zip would both be uploaded as "app\.zip"/
+    );
+    assert.throws(
+        () => renderAssetNames('', files, RELEASE_VARIABLES, { platforms: { '/linux/app.zip': ['github'] } }),
+        /would both be uploaded as "app\.zip"/
+    );
+    assert.throws(
+        () => renderAssetNames('', files, RELEASE_VARIABLES, { platforms: { '/linux/app.zip': ['github', 'gitee'], '/windows/app.zip': ['gitee'] } }),
+        /would both be uploaded as "app\.zip"/
+    );
+
+    assert.deepStrictEqual(
+        renderAssetNames('', files, RELEASE_VARIABLES, { platforms: { '/linux/app.zip': ['github'], '/windows/app.zip': ['gitee'] } }),
+        { '/linux/app.zip': 'app.zip', '/windows/app.zip': 'app.zip' }
+    );
+});
@@ -0,0 +1,105 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { planCleanup } = require('../src/utils/cleanup');
+
+const NOW = Date.parse('2024-06-30T00:00:00Z');
+
+const POLICY = { keepStable: null, keepPrereleases: null, draftMaxAge: null, protect: [] };
+
+/**
+ * Creates a normalized release created on the given day of June 2024.
+ *
+ * @param {string} tag - Tag of the release
+ * @param {number|null} day - Day of creation, or null if the platform does not report it
+ * @param {Object} [flags] - draft and prerelease flags
+ * @returns {Object} The release
+ */
+function release(tag, day, { draft = false, prerelease = false } = {}) {
+    return { tag, draft, prerelease, createdAt: day === null ? null : `2024-06-${String(day).padStart(2, '0')}T00:00:00Z` };
+}
+
+/**
+ * Plans a cleanup and returns the removed tags with their reasons.
+ *
+ * @param {Object[]} releases - Releases of the repository
+ * @param {Object} policy - Retention policy overrides
+ * @param {Object} current - The published release
+ * @returns {string[]} "<tag>: <reason>" of every removal, in order
+ */
+function plan(releases, policy, current) {
+    return planCleanup(releases, { ...POLICY, ...policy }, current, NOW)
+        .map(({ release: removed, reason }) => `${removed.tag}: ${reason}`);
+}
+
+test('the published release takes the first place of its kind', () => {
+    const releases = [release('v1.0.0', 1), release('v1.1.0', 10), release('v1.2.0', 20), release('v2.0.0-rc.1', 25, { prerelease: true })];
+
+    assert.deepStrictEqual(plan(releases, { keepStable: 2 }, { tag: 'v1.3.0', draft: false, prerelease: false }), [
+        'v1.1.0: beyond the 2 newest stable release(s)',
+        'v1.0.0: beyond the 2 newest stable release(s)'
+    ]);
+    // The published release counts once, even when it is already listed
+    assert.deepStrictEqual(plan([...releases, release('v1.3.0', 29)], { keepStable: 2 }, { tag: 'v1.3.0', draft: false, prerelease: false }), [
+        'v1.1.0: beyond the 2 newest stable release(s)',
+        'v1.0.0: beyond the 2 newest stable release(s)'
+    ]);
+    // A published draft does not take a place
+    assert.deepStrictEqual(plan(releases, { keepStable: 2 }, { tag: 'v1.3.0', draft: true, prerelease: false }), [
+        'v1.0.0: beyond the 2 newest stable release(s)'
+    ]);
+});
+
+test('stable releases and pre-releases are counted separately', () => {
+    const releases = [
+        release('v1.0.0', 1),
+        release('v1.1.0-beta.1', 2, { prerelease: true }),
+        release('v1.1.0', 3),
+        release('v1.2.0-beta.1', 4, { prerelease: true }),
+        release('v1.2.0-beta.2', 5, { prerelease: true })
+    ];
+
+    assert.deepStrictEqual(plan(releases, { keepStable: 2, keepPrereleases: 1 }, { tag: 'v1.3.0-beta.1', draft: false, prerelease: true }), [
+        'v1.2.0-beta.2: beyond the 1 newest pre-release(s)',
+        'v1.2.0-beta.1: beyond the 1 newest pre-release(s)',
+        'v1.1.0-beta.1: beyond the 1 newest pre-release(s)'
+    ]);
+    assert.deepStrictEqual(plan(releases, { keepStable: 0 }, { tag: 'v1.2.0-beta.3', draft: false, prerelease: true }), [
+        'v1.1.0: beyond the 0 newest stable release(s)',
+        'v1.0.0: beyond the 0 newest stable release(s)'
+    ]);
+});
+
+test('protected releases are neither removed nor counted', () => {
+    const releases = [release('v1.0.0', 1), release('v1.1.0', 2), release('v2.0.0', 3), release('v2.1.0', 4)];
+
+    assert.deepStrictEqual(plan(releases, { keepStable: 2, protect: ['v1.*'] }, { tag: 'v2.2.0', draft: false, prerelease: false }), [
+        'v2.0.0: beyond the 2 newest stable release(s)'
+    ]);
+    // A protected published release does not take a place either
+    assert.deepStrictEqual(plan(releases, { keepStable: 2, protect: ['v1.*'] }, { tag: 'v1.2.0', draft: false, prerelease: false }), []);
+});
+
+test('drafts are only removed by age', () => {
+    const releases = [
+        release('v1.0.0', 1),
+        release('v1.1.0', 2, { draft: true }),
+        release('v1.2.0', 25, { draft: true }),
+        release('v1.3.0', 26, { draft: true, prerelease: true })
+    ];
+
+    assert.deepStrictEqual(plan(releases, { keepStable: 0, keepPrereleases: 0 }, { tag: 'v2.0.0-rc.1', draft: false, prerelease: true }), [
+        'v1.0.0: beyond the 0 newest stable release(s)'
+    ]);
+    assert.deepStrictEqual(plan(releases, { draftMaxAge: 7 }, { tag: 'v2.0.0', draft: false, prerelease: false }), [
+        'v1.1.0: draft older than 7 day(s)'
+    ]);
+});
+
+test('releases without a creation time rank as the oldest', () => {
+    const releases = [release('v0.9.0', null), release('v1.0.0', 1), release('v1.1.0', 2), release('v0.1.0', null, { draft: true })];
+
+    assert.deepStrictEqual(plan(releases, { keepStable: 2, draftMaxAge: 1 }, { tag: 'v1.2.0', draft: false, prerelease: false }), [
+        'v1.0.0: beyond the 2 newest stable release(s)',
+        'v0.9.0: beyond the 2 newest stable release(s)'
+    ]);
+});
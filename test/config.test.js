@@ -0,0 +1,131 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { loadConfigFile, createTargetInputReader, findUnknownSettings } = require('../src/utils/config');
+
+let directory;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Writes a config file to the temporary directory and loads it.
+ *
+ * @param {string} content - Content of the config file
+ * @param {string} [name='targets.yml'] - File name, whose extension selects the format
+ * @returns {Promise<Object[]>} The normalized targets
+ */
+function load(content, name = 'targets.yml') {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, content);
+    return loadConfigFile(filePath);
+}
+
+test('normalizes the targets of a YAML file', async () => {
+    process.env.RELEASE_SYNC_TEST_TOKEN = 'token';
+    try {
+        const targets = await load([
+            'targets:',
+            '  - platform: gitee',
+            '    token-env: RELEASE_SYNC_TEST_TOKEN',
+            '    owner: mirror',
+            '    repo: app',
+            '    assets: "*.zip"',
+            '    draft: true'
+        ].join('\n'));
+
+        assert.deepStrictEqual(targets, [{
+            id: 'gitee',
+            platform: 'gitee',
+            tokenEnv: 'RELEASE_SYNC_TEST_TOKEN',
+            assets: ['*.zip'],
+            overrides: { releaseName: undefined, body: undefined, draft: true, prerelease: undefined },
+            settings: { owner: 'mirror', repo: 'app' }
+        }]);
+    } finally {
+        delete process.env.RELEASE_SYNC_TEST_TOKEN;
+    }
+});
+
+test('rejects a token written to the file', async () => {
+    await assert.rejects(
+        load(JSON.stringify({ targets: [{ platform: 'github', token: 'ghp_secret' }] }), 'targets.json'),
+        /targets\[0\]\.token: tokens must not be written to the config file, use 'token-env'/
+    );
+});
+
+test('rejects a token-env variable that is not set', async () => {
+    delete process.env.RELEASE_SYNC_MISSING_TOKEN;
+
+    await assert.rejects(
+        load('targets:\n  - platform: gitee\n    token-env: RELEASE_SYNC_MISSING_TOKEN\n'),
+        /targets\[0\]\.token-env: environment variable RELEASE_SYNC_MISSING_TOKEN is not set or empty/
+    );
+});
+
+test('requires a valid id for targets with a custom adapter module', async () => {
+    await assert.rejects(
+        load('targets:\n  - platform: ./adapters/internal.js\n'),
+        /targets\[0\]\.id: is required for targets using a custom adapter module/
+    );
+    await assert.rejects(
+        load('targets:\n  - platform: ./adapters/internal.js\n    id: "internal server"\n'),
+        /targets\[0\]\.id: "internal server" may only contain letters, digits, "-" and "_"/
+    );
+
+    const [target] = await load('targets:\n  - platform: ./adapters/internal.js\n    id: internal_server-2\n');
+    assert.strictEqual(target.id, 'internal_server-2');
+});
+
+test('rejects two targets with the same id', async () => {
+    await assert.rejects(
+        load('targets:\n  - platform: gitee\n  - platform: Gitee\n    owner: mirror\n'),
+        /targets\[1\]\.id: "gitee" is already used by targets\[0\], give each target of the same platform a unique id/
+    );
+
+    const targets = await load('targets:\n  - platform: gitee\n  - platform: gitee\n    id: gitee-mirror\n');
+    assert.deepStrictEqual(targets.map(target => target.id), ['gitee', 'gitee-mirror']);
+});
+
+test('reports every problem of the file at once', async () => {
+    await assert.rejects(load('targets:\n  - platform: github\n    draft: "yes"\n  - owner: mirror\nextra: 1\n'), error => {
+        assert.match(error.message, /extra: unknown top-level key/);
+        assert.match(error.message, /targets\[0\]\.draft: must be a boolean, got string/);
+        assert.match(error.message, /targets\[1\]\.platform: is required/);
+        return true;
+    });
+});
+
+test('reads target settings first, then the token-env variable, then the platform inputs', async () => {
+    process.env.RELEASE_SYNC_TEST_TOKEN = 'from-env';
+    try {
+        const [target] = await load('targets:\n  - platform: gitee\n    token-env: RELEASE_SYNC_TEST_TOKEN\n    repo: app\n');
+        const inputs = { token: 'from-input', owner: 'from-input', repo: 'from-input' };
+        const getInput = createTargetInputReader(target, key => inputs[key] || '');
+
+        assert.strictEqual(getInput('repo'), 'app');
+        assert.strictEqual(getInput('token'), 'from-env');
+        assert.strictEqual(getInput('owner'), 'from-input');
+    } finally {
+        delete process.env.RELEASE_SYNC_TEST_TOKEN;
+    }
+});
+
+test('finds settings that the adapter never reads', async () => {
+    const [target] = await load('targets:\n  - platform: gitee\n    ower: mirror\n    repo: app\n');
+    const readKeys = new Set();
+    const getInput = createTargetInputReader(target, () => '', readKeys);
+
+    // A readConfig() that reads the owner and repo
+    getInput('owner');
+    getInput('repo');
+
+    assert.deepStrictEqual(findUnknownSettings(target, readKeys), ['ower']);
+});
@@ -0,0 +1,196 @@
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const axios = require('axios');
+const { pushRefs } = require('../src/utils/git');
+const gitee = require('../src/platforms/gitee');
+const { createJournal, rollbackJournal } = require('../src/utils/journal');
+
+const git = (cwd, ...args) => execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Test',
+        GIT_AUTHOR_EMAIL: 'test@example.com',
+        GIT_COMMITTER_NAME: 'Test',
+        GIT_COMMITTER_EMAIL: 'test@example.com'
+    }
+}).trim();
+
+let directory;
+let workspace;
+let remote;
+let firstCommit;
+let secondCommit;
+let originalGet;
+let originalWorkspace;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    workspace = path.join(directory, 'workspace');
+    remote = path.join(directory, 'remote.git');
+    git(directory, 'init', '--quiet', '--bare', remote);
+    git(directory, 'init', '--quiet', workspace);
+    git(workspace, 'commit', '--quiet', '--allow-empty', '-m', 'first');
+    firstCommit = git(workspace, 'rev-parse', 'HEAD');
+    git(workspace, 'commit', '--quiet', '--allow-empty', '-m', 'second');
+    secondCommit = git(workspace, 'rev-parse', 'HEAD');
+
+    originalWorkspace = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = workspace;
+    // The Gitee API reports every pushed commit
+    originalGet = axios.get;
+    axios.get = async () => ({ data: {} });
+});
+
+afterEach(() => {
+    axios.get = originalGet;
+    if (originalWorkspace === undefined) {
+        delete process.env.GITHUB_WORKSPACE;
+    } else {
+        process.env.GITHUB_WORKSPACE = originalWorkspace;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Returns a Gitee configuration that pushes to the temporary bare repository.
+ *
+ * @param {Object} [settings] - Settings overriding the defaults
+ * @returns {Object} Gitee configuration
+ */
+function giteeConfig(settings = {}) {
+    return { token: 'secret-token', owner: 'owner', repo: 'repo', gitUrl: remote, push: true, pushBranch: '', ...settings };
+}
+
+/**
+ * Returns the commit a ref of the bare repository points to.
+ *
+ * @param {string} ref - Full ref name
+ * @returns {string|null} The commit SHA, or null if the ref does not exist
+ */
+function remoteCommit(ref) {
+    try {
+        return git(remote, 'rev-parse', '--verify', '--quiet', `${ref}^{commit}`);
+    } catch {
+        return null;
+    }
+}
+
+test('pushes a lightweight tag at the released commit if the workspace has no such tag', async () => {
+    await gitee.syncGitRefs(giteeConfig(), { tag: 'v1.0.0', commit: firstCommit });
+
+    assert.strictEqual(remoteCommit('refs/tags/v1.0.0'), firstCommit);
+    assert.strictEqual(git(remote, 'cat-file', '-t', 'refs/tags/v1.0.0'), 'commit');
+});
+
+test('pushes the local annotated tag as it is', async () => {
+    git(workspace, 'tag', '-a', '-m', 'Release 1.0.0', 'v1.0.0', firstCommit);
+
+    await gitee.syncGitRefs(giteeConfig(), { tag: 'v1.0.0', commit: firstCommit });
+
+    assert.strictEqual(remoteCommit('refs/tags/v1.0.0'), firstCommit);
+    assert.strictEqual(git(remote, 'cat-file', '-t', 'refs/tags/v1.0.0'), 'tag');
+});
+
+test('fails if the local tag points to another commit than the release', async () => {
+    git(workspace, 'tag', 'v1.0.0', secondCommit);
+
+    await assert.rejects(
+        gitee.syncGitRefs(giteeConfig(), { tag: 'v1.0.0', commit: firstCommit }),
+        /The local tag "v1\.0\.0" points to commit [0-9a-f]{40}, but the release is for commit/
+    );
+    assert.strictEqual(remoteCommit('refs/tags/v1.0.0'), null);
+});
+
+test('pushes the commit to the branch as a fast-forward only', async () => {
+    const config = giteeConfig({ push: false, pushBranch: 'main' });
+
+    await gitee.syncGitRefs(config, { tag: 'v1.0.0', commit: firstCommit });
+    assert.strictEqual(remoteCommit('refs/heads/main'), firstCommit);
+    assert.strictEqual(remoteCommit('refs/tags/v1.0.0'), null);
+
+    await gitee.syncGitRefs(config, { tag: 'v2.0.0', commit: secondCommit });
+    assert.strictEqual(remoteCommit('refs/heads/main'), secondCommit);
+
+    await assert.rejects(gitee.syncGitRefs(config, { tag: 'v1.0.0', commit: firstCommit }), /git push failed/);
+    assert.strictEqual(remoteCommit('refs/heads/main'), secondCommit);
+});
+
+test('explains how to fix a commit that is missing from a shallow clone', async () => {
+    await assert.rejects(
+        gitee.syncGitRefs(giteeConfig(), { tag: 'v1.0.0', commit: 'f'.repeat(40) }),
+        /is not available in the workspace\. Check out the repository with its history \(e\.g\., actions\/checkout with fetch-depth: 0\)/
+    );
+});
+
+test('only plans the push in a dry run', async () => {
+    await gitee.syncGitRefs(giteeConfig({ pushBranch: 'main' }), { tag: 'v1.0.0', commit: firstCommit, dryRun: true });
+
+    assert.strictEqual(remoteCommit('refs/tags/v1.0.0'), null);
+    assert.strictEqual(remoteCommit('refs/heads/main'), null);
+});
+
+test('keeps the credentials out of the error of a failed HTTPS push', async () => {
+    const token = 'secret-token';
+    const credentials = Buffer.from(`owner:${token}`).toString('base64');
+    process.env.GIT_TERMINAL_PROMPT = '0';
+
+    try {
+        // Nothing listens on port 1, so the push fails without sending anything
+        await assert.rejects(
+            pushRefs({ url: 'http://127.0.0.1:1/owner/repo.git', refspecs: [`${firstCommit}:refs/tags/v1.0.0`], username: 'owner', token }),
+            error => {
+                assert.match(error.message, /^git push failed with exit code/);
+                assert.ok(!error.message.includes(token));
+                assert.ok(!error.message.includes(credentials));
+                assert.ok(!error.message.includes('extraHeader'));
+                return true;
+            }
+        );
+    } finally {
+        delete process.env.GIT_TERMINAL_PROMPT;
+    }
+});
+
+test('records the pushed refs so that a rollback deletes the new tag and resets the branch', async () => {
+    git(workspace, 'push', '--quiet', remote, `${firstCommit}:refs/heads/main`);
+    const config = giteeConfig({ pushBranch: 'main' });
+    const journal = createJournal();
+
+    await gitee.syncGitRefs(config, { tag: 'v2.0.0', commit: secondCommit, journal: journal.forPlatform('gitee') });
+    assert.deepStrictEqual(journal.entries, [
+        { platform: 'gitee', type: 'git-ref', ref: 'refs/tags/v2.0.0', value: secondCommit, previous: null },
+        { platform: 'gitee', type: 'git-ref', ref: 'refs/heads/main', value: secondCommit, previous: firstCommit }
+    ]);
+
+    const outcomes = await rollbackJournal(journal, { gitee: { adapter: gitee, config } });
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['undone', 'undone']);
+    assert.strictEqual(remoteCommit('refs/tags/v2.0.0'), null);
+    assert.strictEqual(remoteCommit('refs/heads/main'), firstCommit);
+});
+
+test('does not record refs that the push left unchanged', async () => {
+    git(workspace, 'push', '--quiet', remote, `${firstCommit}:refs/tags/v1.0.0`);
+    const journal = createJournal();
+
+    await gitee.syncGitRefs(giteeConfig(), { tag: 'v1.0.0', commit: firstCommit, journal: journal.forPlatform('gitee') });
+
+    assert.deepStrictEqual(journal.entries, []);
+});
+
+test('keeps a pushed branch that someone else has pushed to since', async () => {
+    const config = giteeConfig({ push: false, pushBranch: 'main' });
+    const journal = createJournal();
+    await gitee.syncGitRefs(config, { tag: 'v1.0.0', commit: firstCommit, journal: journal.forPlatform('gitee') });
+    git(workspace, 'push', '--quiet', remote, `${secondCommit}:refs/heads/main`);
+
+    const outcomes = await rollbackJournal(journal, { gitee: { adapter: gitee, config } });
+
+    assert.strictEqual(outcomes[0].status, 'failed');
+    assert.strictEqual(remoteCommit('refs/heads/main'), secondCommit);
+});
@@ -0,0 +1,191 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const gitea = require('../src/platforms/gitea');
+
+const REPO_PATH = '/api/v1/repos/owner/repo';
+
+let server;
+let config;
+let routes;
+let requests;
+
+before(async () => {
+    // Answers every request from the route of its method and path (including the query), or with 404
+    server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            const recorded = { method: request.method, url: request.url, headers: request.headers, body };
+            if ((request.headers['content-type'] || '').startsWith('application/json')) {
+                recorded.body = JSON.parse(body);
+            }
+            requests.push(recorded);
+
+            const route = routes[`${request.method} ${request.url}`];
+            const { status = 200, data = {} } = route ? route(recorded) : { status: 404, data: { message: 'Not Found' } };
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    routes = {};
+    requests = [];
+    config = {
+        token: 'gitea-token',
+        url: `http://127.0.0.1:${server.address().port}`,
+        owner: 'owner',
+        repo: 'repo',
+        targetCommitish: ''
+    };
+});
+
+/**
+ * Returns Gitea release data as the API reports it.
+ *
+ * @param {number} id - Release ID
+ * @param {string} tag - Tag of the release
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Release data
+ */
+function releaseData(id, tag, fields = {}) {
+    return {
+        id,
+        tag_name: tag,
+        name: `Release ${tag}`,
+        body: 'Notes',
+        draft: false,
+        prerelease: false,
+        html_url: `https://gitea.example.com/owner/repo/releases/tag/${tag}`,
+        created_at: '2025-01-01T00:00:00Z',
+        ...fields
+    };
+}
+
+test('looks up the release of a tag', async () => {
+    routes[`GET ${REPO_PATH}/releases/tags/v1.0.0`] = () => ({ data: releaseData(7, 'v1.0.0') });
+
+    const release = await gitea.getRelease(config, 'v1.0.0');
+
+    assert.strictEqual(release.id, 7);
+    assert.strictEqual(release.tag, 'v1.0.0');
+    assert.strictEqual(release.draft, false);
+    assert.strictEqual(release.url, 'https://gitea.example.com/owner/repo/releases/tag/v1.0.0');
+    assert.strictEqual(requests[0].headers.authorization, 'token gitea-token');
+});
+
+test('finds a draft release in the release list when the tag lookup does not return it', async () => {
+    const firstPage = Array.from({ length: 50 }, (_, index) => releaseData(index + 1, `v0.${index}.0`));
+    routes[`GET ${REPO_PATH}/releases?page=1&limit=50`] = () => ({ data: firstPage });
+    routes[`GET ${REPO_PATH}/releases?page=2&limit=50`] = () => ({ data: [releaseData(99, 'v1.0.0', { draft: true })] });
+
+    const release = await gitea.getRelease(config, 'v1.0.0');
+
+    assert.strictEqual(release.id, 99);
+    assert.strictEqual(release.draft, true);
+    assert.deepStrictEqual(requests.map(request => request.url), [
+        `${REPO_PATH}/releases/tags/v1.0.0`,
+        `${REPO_PATH}/releases?page=1&limit=50`,
+        `${REPO_PATH}/releases?page=2&limit=50`
+    ]);
+
+    assert.strictEqual(await gitea.getRelease(config, 'v2.0.0'), null);
+});
+
+test('creates a release with the target commitish of a missing tag', async () => {
+    routes[`POST ${REPO_PATH}/releases`] = ({ body }) => ({ status: 201, data: releaseData(8, body.tag_name, { draft: body.draft }) });
+
+    const release = await gitea.createOrUpdateRelease({ ...config, targetCommitish: 'a'.repeat(40) }, {
+        existingRelease: null,
+        tag: 'v1.0.0',
+        releaseName: 'Release v1.0.0',
+        body: 'Notes',
+        draft: true,
+        prerelease: false
+    });
+
+    assert.strictEqual(release.id, 8);
+    assert.strictEqual(release.draft, true);
+    assert.deepStrictEqual(requests[0].body, {
+        tag_name: 'v1.0.0',
+        name: 'Release v1.0.0',
+        body: 'Notes',
+        draft: true,
+        prerelease: false,
+        target_commitish: 'a'.repeat(40)
+    });
+});
+
+test('updates an existing release in place', async () => {
+    routes[`PATCH ${REPO_PATH}/releases/7`] = ({ body }) => ({ data: releaseData(7, body.tag_name, { name: body.name, prerelease: body.prerelease }) });
+
+    const release = await gitea.createOrUpdateRelease(config, {
+        existingRelease: { id: 7, tag: 'v1.0.0' },
+        tag: 'v1.0.0',
+        releaseName: 'New name',
+        body: 'New notes',
+        draft: false,
+        prerelease: true
+    });
+
+    assert.strictEqual(release.name, 'New name');
+    assert.strictEqual(release.prerelease, true);
+    assert.deepStrictEqual(requests[0].body, { tag_name: 'v1.0.0', name: 'New name', body: 'New notes', draft: false, prerelease: true });
+});
+
+test('lists the assets of a release', async () => {
+    routes[`GET ${REPO_PATH}/releases/7/assets`] = () => ({
+        data: [{ id: 3, name: 'app.zip', size: 11, browser_download_url: 'https://gitea.example.com/attachments/3' }]
+    });
+
+    const assets = await gitea.listAssets(config, { id: 7, tag: 'v1.0.0' });
+
+    assert.deepStrictEqual(assets, [{
+        id: 3,
+        name: 'app.zip',
+        size: 11,
+        digest: null,
+        url: 'https://gitea.example.com/attachments/3',
+        downloadUrl: 'https://gitea.example.com/attachments/3'
+    }]);
+});
+
+test('uploads an asset as an attachment under its release name', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    const filePath = path.join(directory, 'app.zip');
+    fs.writeFileSync(filePath, 'zip content');
+    routes[`POST ${REPO_PATH}/releases/7/assets?name=app-linux.zip`] = () => ({
+        status: 201,
+        data: { id: 4, name: 'app-linux.zip', browser_download_url: 'https://gitea.example.com/attachments/4' }
+    });
+
+    try {
+        const result = await gitea.uploadAsset(config, { id: 7, tag: 'v1.0.0' }, { name: 'app.zip', path: filePath, size: 11 }, 'app-linux.zip');
+
+        assert.deepStrictEqual(result, { url: 'https://gitea.example.com/attachments/4' });
+        assert.match(requests[0].headers['content-type'], /^multipart\/form-data/);
+        assert.match(requests[0].body, /name="attachment"; filename="app-linux\.zip"/);
+        assert.match(requests[0].body, /zip content/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('deletes an asset', async () => {
+    routes[`DELETE ${REPO_PATH}/releases/7/assets/3`] = () => ({ status: 204, data: {} });
+
+    await gitea.deleteAsset(config, { id: 7, tag: 'v1.0.0' }, { id: 3, name: 'app.zip' });
+
+    assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), [`DELETE ${REPO_PATH}/releases/7/assets/3`]);
+});
@@ -0,0 +1,154 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const gitlab = require('../src/platforms/gitlab');
+
+const PROJECT_PATH = '/api/v4/projects/group%2Fproject';
+
+let server;
+let config;
+let routes;
+let requests;
+
+before(async () => {
+    // Answers every request from the route of its method and path (including the query), or with 404
+    server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            const recorded = { method: request.method, url: request.url, headers: request.headers, body };
+            if ((request.headers['content-type'] || '').startsWith('application/json')) {
+                recorded.body = JSON.parse(body);
+            }
+            requests.push(recorded);
+
+            const route = routes[`${request.method} ${request.url}`];
+            const { status = 200, data = {} } = route ? route(recorded) : { status: 404, data: { message: '404 Not Found' } };
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    routes = {};
+    requests = [];
+    config = {
+        token: 'gitlab-token',
+        url: `http://127.0.0.1:${server.address().port}/`,
+        project: 'group/project',
+        targetCommitish: '',
+        packageName: 'release-assets'
+    };
+});
+
+/**
+ * Returns GitLab release data as the API reports it.
+ *
+ * @param {string} tag - Tag of the release
+ * @returns {Object} Release data
+ */
+function releaseData(tag) {
+    return {
+        tag_name: tag,
+        name: `Release ${tag}`,
+        description: 'Notes',
+        created_at: '2025-01-01T00:00:00Z',
+        _links: { self: `https://gitlab.example.com/group/project/-/releases/${tag}` }
+    };
+}
+
+test('looks up the release of a tag', async () => {
+    routes[`GET ${PROJECT_PATH}/releases/v1.0.0`] = () => ({ data: releaseData('v1.0.0') });
+
+    const release = await gitlab.getRelease(config, 'v1.0.0');
+
+    assert.strictEqual(release.id, 'v1.0.0');
+    assert.strictEqual(release.name, 'Release v1.0.0');
+    assert.strictEqual(release.body, 'Notes');
+    assert.strictEqual(release.url, 'https://gitlab.example.com/group/project/-/releases/v1.0.0');
+    assert.strictEqual(requests[0].headers['private-token'], 'gitlab-token');
+    assert.strictEqual(await gitlab.getRelease(config, 'v2.0.0'), null);
+});
+
+test('creates a release with a missing tag at the default branch or the target commitish', async () => {
+    routes[`GET ${PROJECT_PATH}`] = () => ({ data: { default_branch: 'main' } });
+    routes[`POST ${PROJECT_PATH}/releases`] = ({ body }) => ({ status: 201, data: releaseData(body.tag_name) });
+
+    await gitlab.createOrUpdateRelease(config, { existingRelease: null, tag: 'v1.0.0', releaseName: 'Release v1.0.0', body: 'Notes' });
+    const created = requests.find(request => request.method === 'POST');
+    assert.deepStrictEqual(created.body, { tag_name: 'v1.0.0', name: 'Release v1.0.0', description: 'Notes', ref: 'main' });
+
+    requests = [];
+    await gitlab.createOrUpdateRelease({ ...config, targetCommitish: 'a'.repeat(40) }, { existingRelease: null, tag: 'v1.0.0', releaseName: 'Release v1.0.0', body: 'Notes' });
+    assert.deepStrictEqual(requests.map(request => request.method), ['POST']);
+    assert.strictEqual(requests[0].body.ref, 'a'.repeat(40));
+});
+
+test('updates the name and description of an existing release', async () => {
+    routes[`PUT ${PROJECT_PATH}/releases/release%2F1.0`] = ({ body }) => ({ data: { ...releaseData('release/1.0'), name: body.name, description: body.description } });
+    const existingRelease = { id: 'release/1.0', tag: 'release/1.0' };
+
+    const release = await gitlab.createOrUpdateRelease(config, { existingRelease, tag: 'release/1.0', releaseName: 'New name', body: 'New notes', draft: false, prerelease: false });
+
+    assert.strictEqual(release.name, 'New name');
+    assert.deepStrictEqual(requests[0].body, { name: 'New name', description: 'New notes' });
+});
+
+test('lists the asset links of all pages with the size and digest of their package files', async () => {
+    const packageFileUrl = name => `${config.url.replace(/\/$/, '')}${PROJECT_PATH}/packages/generic/release-assets/v1.0.0/${name}`;
+    const links = Array.from({ length: 101 }, (_, index) => ({ id: index + 1, name: `file-${index + 1}.zip`, url: `https://example.com/file-${index + 1}.zip` }));
+    links[100] = { id: 101, name: 'app.zip', url: packageFileUrl('app.zip') };
+    routes[`GET ${PROJECT_PATH}/releases/v1.0.0/assets/links?page=1&per_page=100`] = () => ({ data: links.slice(0, 100) });
+    routes[`GET ${PROJECT_PATH}/releases/v1.0.0/assets/links?page=2&per_page=100`] = () => ({ data: links.slice(100) });
+    routes[`GET ${PROJECT_PATH}/packages?package_type=generic&package_name=release-assets&page=1&per_page=100`] = () => ({
+        data: [{ id: 9, name: 'release-assets', version: '0.9.0' }, { id: 10, name: 'release-assets', version: 'v1.0.0' }]
+    });
+    routes[`GET ${PROJECT_PATH}/packages/10/package_files?page=1&per_page=100`] = () => ({
+        data: [{ file_name: 'app.zip', size: 10, file_sha256: 'old' }, { file_name: 'app.zip', size: 12, file_sha256: 'abc' }]
+    });
+
+    const assets = await gitlab.listAssets(config, { id: 'v1.0.0', tag: 'v1.0.0' });
+
+    assert.strictEqual(assets.length, 101);
+    assert.deepStrictEqual(assets[0], { id: 1, name: 'file-1.zip', size: null, digest: null, url: 'https://example.com/file-1.zip', downloadUrl: 'https://example.com/file-1.zip' });
+    // The newest package file of the name is used
+    assert.deepStrictEqual(assets[100], { id: 101, name: 'app.zip', size: 12, digest: 'sha256:abc', url: packageFileUrl('app.zip'), downloadUrl: packageFileUrl('app.zip') });
+});
+
+test('uploads an asset to the generic package of the release and links it as a package', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    const filePath = path.join(directory, 'app.zip');
+    fs.writeFileSync(filePath, 'zip content');
+    const packagePath = `${PROJECT_PATH}/packages/generic/release-assets/release-1.0/app%20(linux).zip`;
+    routes[`PUT ${packagePath}`] = () => ({ status: 201, data: { message: '201 Created' } });
+    routes[`POST ${PROJECT_PATH}/releases/release%2F1.0/assets/links`] = ({ body }) => ({ status: 201, data: { id: 5, ...body } });
+
+    try {
+        const result = await gitlab.uploadAsset(config, { id: 'release/1.0', tag: 'release/1.0' }, { name: 'app.zip', path: filePath, size: 11 }, 'app (linux).zip');
+
+        const expectedUrl = `${config.url.replace(/\/$/, '')}${packagePath}`;
+        assert.strictEqual(result.url, expectedUrl);
+        assert.strictEqual(requests[0].body, 'zip content');
+        assert.deepStrictEqual(requests[1].body, { name: 'app (linux).zip', url: expectedUrl, link_type: 'package' });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('deletes the asset link', async () => {
+    routes[`DELETE ${PROJECT_PATH}/releases/v1.0.0/assets/links/5`] = () => ({ data: {} });
+
+    await gitlab.deleteAsset(config, { id: 'v1.0.0', tag: 'v1.0.0' }, { id: 5, name: 'app.zip' });
+
+    assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), [`DELETE ${PROJECT_PATH}/releases/v1.0.0/assets/links/5`]);
+});
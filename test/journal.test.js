@@ -0,0 +1,83 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { createJournal, rollbackJournal } = require('../src/utils/journal');
+
+/**
+ * Returns an adapter that records every undo call instead of changing a platform.
+ *
+ * @param {string[]} calls - Receives a description of every call
+ * @param {Object} [overrides] - Functions replacing the recording ones
+ * @returns {Object} The adapter
+ */
+function recordingAdapter(calls, overrides = {}) {
+    return {
+        name: 'fake',
+        tagExists: async () => true,
+        deleteTag: async (config, tag) => calls.push(`deleteTag ${tag}`),
+        deleteRelease: async (config, release) => calls.push(`deleteRelease ${release.id}`),
+        createOrUpdateRelease: async (config, { existingRelease, releaseName }) => calls.push(`updateRelease ${existingRelease.id} ${releaseName}`),
+        listAssets: async () => [{ id: 7, name: 'app.zip' }],
+        deleteAsset: async (config, release, asset) => calls.push(`deleteAsset ${release.id} ${asset.name}`),
+        restoreGitRef: async (config, { ref, previous }) => calls.push(`restoreGitRef ${ref} ${previous}`),
+        ...overrides
+    };
+}
+
+test('undoes the pushed refs after the release that was created on them', async () => {
+    const calls = [];
+    const journal = createJournal();
+    const recorder = journal.forPlatform('gitee');
+    const release = { id: 1, tag: 'v1.0.0' };
+    recorder.record({ type: 'git-ref', ref: 'refs/tags/v1.0.0', value: 'b'.repeat(40), previous: null });
+    recorder.record({ type: 'git-ref', ref: 'refs/heads/main', value: 'b'.repeat(40), previous: 'a'.repeat(40) });
+    recorder.record({ type: 'release', release });
+    recorder.record({ type: 'asset', release, name: 'app.zip', replaced: false });
+
+    const outcomes = await rollbackJournal(journal, { gitee: { adapter: recordingAdapter(calls), config: {} } });
+
+    // Assets of a created release go with the release
+    assert.deepStrictEqual(calls, [
+        'deleteRelease 1',
+        `restoreGitRef refs/heads/main ${'a'.repeat(40)}`,
+        'restoreGitRef refs/tags/v1.0.0 null'
+    ]);
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['undone', 'undone', 'undone']);
+    assert.match(outcomes[2].message, /Deleted fake refs\/tags\/v1\.0\.0/);
+});
+
+test('restores an updated release and removes only the assets added to it', async () => {
+    const calls = [];
+    const journal = createJournal();
+    const recorder = journal.forPlatform('github');
+    const release = { id: 2, tag: 'v1.0.0' };
+    recorder.record({ type: 'release-update', release, previous: { name: 'Old name', body: '', draft: false, prerelease: false } });
+    recorder.record({ type: 'asset', release, name: 'app.zip', replaced: false });
+    recorder.record({ type: 'asset', release, name: 'old.zip', replaced: true });
+
+    const outcomes = await rollbackJournal(journal, { github: { adapter: recordingAdapter(calls), config: {} } });
+
+    assert.deepStrictEqual(calls, ['deleteAsset 2 app.zip', 'updateRelease 2 Old name']);
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['kept', 'undone', 'undone']);
+});
+
+test('keeps what an adapter cannot undo and continues after a failed step', async () => {
+    const calls = [];
+    const journal = createJournal();
+    const recorder = journal.forPlatform('custom');
+    recorder.record({ type: 'git-ref', ref: 'refs/tags/v1.0.0', value: 'b'.repeat(40), previous: null });
+    recorder.record({ type: 'tag', tag: 'v1.0.0' });
+    recorder.record({ type: 'release', release: { id: 3, tag: 'v1.0.0' } });
+    const adapter = recordingAdapter(calls, {
+        deleteRelease: async () => {
+            throw new Error('Server unavailable');
+        },
+        restoreGitRef: undefined
+    });
+
+    const outcomes = await rollbackJournal(journal, { custom: { adapter, config: {} } });
+
+    assert.deepStrictEqual(calls, ['deleteTag v1.0.0']);
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['failed', 'undone', 'kept']);
+    assert.match(outcomes[0].message, /Server unavailable/);
+    assert.match(outcomes[2].message, /cannot undo pushes/);
+});
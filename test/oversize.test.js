@@ -0,0 +1,155 @@
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { parseSize, applyAssetSizeLimit } = require('../src/utils/oversize');
+
+let directory;
+let originalRunnerTemp;
+
+before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    // Split parts are written below RUNNER_TEMP, so they are removed with the test directory
+    originalRunnerTemp = process.env.RUNNER_TEMP;
+    process.env.RUNNER_TEMP = directory;
+});
+
+after(() => {
+    if (originalRunnerTemp === undefined) {
+        delete process.env.RUNNER_TEMP;
+    } else {
+        process.env.RUNNER_TEMP = originalRunnerTemp;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Writes a test file of the given size with varying content.
+ *
+ * @param {string} name - File name
+ * @param {number} size - Size in bytes
+ * @returns {string} Path of the file
+ */
+function writeFile(name, size) {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, Buffer.from(Array.from({ length: size }, (_, index) => index % 251)));
+    return filePath;
+}
+
+test('parseSize reads plain numbers and binary units', () => {
+    assert.strictEqual(parseSize('104857600'), 104857600);
+    assert.strictEqual(parseSize('512 b'), 512);
+    assert.strictEqual(parseSize('2K'), 2048);
+    assert.strictEqual(parseSize('100MB'), 100 * 1024 ** 2);
+    assert.strictEqual(parseSize(' 1.5 GiB '), 1.5 * 1024 ** 3);
+    assert.strictEqual(parseSize('0.5kb'), 512);
+
+    for (const invalid of ['', 'MB', '-1MB', '10 TB', '1,5MB', '1e6']) {
+        assert.strictEqual(parseSize(invalid), null, `"${invalid}" should be rejected`);
+    }
+});
+
+test('files at the limit are left as they are', async () => {
+    const filePath = writeFile('exact.bin', 1024);
+
+    const result = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [filePath], assetNames: {}, limit: 1024, strategy: 'fail' });
+
+    assert.deepStrictEqual(result, { assetFiles: [filePath], oversizeAssets: [] });
+});
+
+test('a missing limit accepts every file', async () => {
+    const filePath = writeFile('unlimited.bin', 4096);
+
+    const result = await applyAssetSizeLimit({ label: 'Gitea', assetFiles: [filePath], assetNames: {}, limit: null, strategy: 'fail' });
+
+    assert.deepStrictEqual(result, { assetFiles: [filePath], oversizeAssets: [] });
+});
+
+test('the fail strategy names every oversized asset', async () => {
+    const small = writeFile('small.bin', 100);
+    const large = writeFile('large.bin', 1025);
+    const larger = writeFile('larger.bin', 3000);
+
+    await assert.rejects(
+        applyAssetSizeLimit({ label: 'Gitee', assetFiles: [small, large, larger], assetNames: { [larger]: 'app.zip' }, limit: 1024, strategy: 'fail' }),
+        /^Error: 2 asset\(s\) exceed the Gitee size limit of 1\.0 KB: large\.bin \(1\.0 KB\), app\.zip \(2\.9 KB\)\. Set 'oversize-strategy'/
+    );
+});
+
+test('the skip strategy reports the left out assets', async () => {
+    const small = writeFile('keep.bin', 100);
+    const large = writeFile('skip.bin', 2048);
+
+    const result = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [small, large], assetNames: { [large]: 'app.zip' }, limit: 1024, strategy: 'skip' });
+
+    assert.deepStrictEqual(result, {
+        assetFiles: [small],
+        oversizeAssets: [{ file: large, name: 'app.zip', action: 'oversize', status: 'skipped', size: 2048, error: 'Not uploaded: exceeds the Gitee size limit of 1.0 KB' }]
+    });
+});
+
+test('a dry run only plans the split', async () => {
+    const large = writeFile('planned.bin', 2500);
+
+    const result = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [large], assetNames: {}, limit: 1024, strategy: 'split', dryRun: true });
+
+    assert.deepStrictEqual(result, {
+        assetFiles: [],
+        oversizeAssets: [{ file: large, name: 'planned.bin', action: 'split', status: 'planned', size: 2500, error: null }]
+    });
+});
+
+test('the split strategy writes parts of at most the limit', async () => {
+    const small = writeFile('readme.txt', 10);
+    const large = writeFile('split.bin', 3072);
+
+    const result = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [large, small], assetNames: { [large]: 'app.bin' }, limit: 1024, strategy: 'split' });
+
+    const names = result.assetFiles.map(filePath => path.basename(filePath));
+    assert.deepStrictEqual(names, ['readme.txt', 'app.bin.part001', 'app.bin.part002', 'app.bin.part003', 'app.bin.sha256', 'app.bin.reassemble.sh', 'app.bin.reassemble.ps1']);
+    assert.deepStrictEqual(result.assetFiles.slice(1, 4).map(filePath => fs.statSync(filePath).size), [1024, 1024, 1024]);
+    assert.deepStrictEqual(result.oversizeAssets, [{ file: large, name: 'app.bin', action: 'split', status: 'split', size: 3072, error: null }]);
+
+    const joined = Buffer.concat(result.assetFiles.slice(1, 4).map(filePath => fs.readFileSync(filePath)));
+    assert.ok(joined.equals(fs.readFileSync(large)));
+});
+
+test('the last part holds the remainder', async () => {
+    const large = writeFile('remainder.bin', 2049);
+
+    const { assetFiles } = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [large], assetNames: {}, limit: 1024, strategy: 'split' });
+
+    const parts = assetFiles.filter(filePath => /\.part\d+$/.test(filePath));
+    assert.deepStrictEqual(parts.map(filePath => fs.statSync(filePath).size), [1024, 1024, 1]);
+});
+
+test('the checksum file and reassembly scripts restore the original asset', async () => {
+    const large = writeFile("it's big.bin", 2500);
+    const digest = crypto.createHash('sha256').update(fs.readFileSync(large)).digest('hex');
+
+    const { assetFiles } = await applyAssetSizeLimit({ label: 'Gitee', assetFiles: [large], assetNames: {}, limit: 1000, strategy: 'split' });
+
+    const byName = Object.fromEntries(assetFiles.map(filePath => [path.basename(filePath), filePath]));
+    assert.strictEqual(fs.readFileSync(byName["it's big.bin.sha256"], 'utf8'), `${digest}  it's big.bin\n`);
+
+    const shellScript = fs.readFileSync(byName["it's big.bin.reassemble.sh"], 'utf8');
+    assert.match(shellScript, /^#!\/bin\/sh\n# Joins the 3 parts of it's big\.bin /);
+    assert.ok(shellScript.includes(`cat 'it'\\''s big.bin.part001' 'it'\\''s big.bin.part002' 'it'\\''s big.bin.part003' > 'it'\\''s big.bin'`));
+    assert.ok(shellScript.includes(`echo '${digest}  it'\\''s big.bin' | sha256sum -c -`));
+    assert.strictEqual(fs.statSync(byName["it's big.bin.reassemble.sh"]).mode & 0o111, 0o111);
+
+    const powerShellScript = fs.readFileSync(byName["it's big.bin.reassemble.ps1"], 'utf8');
+    assert.ok(powerShellScript.includes("foreach ($part in @('it''s big.bin.part001', 'it''s big.bin.part002', 'it''s big.bin.part003')) {\r\n"));
+    assert.ok(powerShellScript.includes(`.Hash.ToLower() -ne '${digest}'`));
+
+    // Reassembles the parts like a user who downloaded them
+    const downloads = fs.mkdtempSync(path.join(directory, 'downloads-'));
+    for (const filePath of assetFiles) {
+        fs.copyFileSync(filePath, path.join(downloads, path.basename(filePath)));
+    }
+    execFileSync('sh', ["it's big.bin.reassemble.sh"], { cwd: downloads, stdio: 'pipe' });
+    assert.ok(fs.readFileSync(path.join(downloads, "it's big.bin")).equals(fs.readFileSync(large)));
+});
@@ -0,0 +1,55 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { resolveReleaseBody } = require('../src/utils/releaseNotes');
+
+/**
+ * Writes a changelog to a temporary file and returns the release body produced from it.
+ *
+ * @param {string} content - Changelog content
+ * @param {string} tag - Tag of the release
+ * @returns {Promise<string>} The release body
+ */
+async function bodyFromChangelog(content, tag) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'release-sync-test-'));
+    const file = path.join(directory, 'CHANGELOG.md');
+    fs.writeFileSync(file, content);
+    try {
+        return await resolveReleaseBody({ mode: 'file', file, tag });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('uses the section of the final release when a pre-release heading comes first', async () => {
+    const changelog = [
+        '# Changelog',
+        '',
+        '## [1.2.0-rc.1] - 2024-12-01',
+        'Release candidate notes',
+        '',
+        '## 1.2.0-beta',
+        'Beta notes',
+        '',
+        '## [1.2.0] - 2025-01-01',
+        'Final notes',
+        '',
+        '## [1.1.0] - 2024-10-01',
+        'Older notes'
+    ].join('\n');
+
+    assert.strictEqual(await bodyFromChangelog(changelog, 'v1.2.0'), 'Final notes');
+    assert.strictEqual(await bodyFromChangelog(changelog, 'v1.2.0-rc.1'), 'Release candidate notes');
+});
+
+test('matches headings with a date, a "v" prefix or a "Version" label', async () => {
+    assert.strictEqual(await bodyFromChangelog('## [1.2.0] - 2025-01-01\nBracketed', '1.2.0'), 'Bracketed');
+    assert.strictEqual(await bodyFromChangelog('## v1.2.0 - 2025-01-01\nPlain', 'v1.2.0'), 'Plain');
+    assert.strictEqual(await bodyFromChangelog('# Version 1.2.0\nNamed', 'v1.2.0'), 'Named');
+});
+
+test('fails when the changelog only has a pre-release of the version', async () => {
+    await assert.rejects(bodyFromChangelog('## 1.2.0-rc.1\nCandidate', 'v1.2.0'), /has no heading for version 1\.2\.0/);
+});
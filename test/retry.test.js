@@ -0,0 +1,129 @@
+const assert = require('node:assert');
+const http = require('http');
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const axios = require('axios');
+const { configureRetry, withRetry } = require('../src/utils/retry');
+
+/**
+ * Returns an assert.rejects() validator for an HTTP error with the given status.
+ *
+ * @param {number} status - Expected HTTP status code
+ * @returns {Function} The validator
+ */
+const withStatus = status => error => error.response && error.response.status === status;
+
+let server;
+let baseUrl;
+let responses;
+let requests;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        requests.push(request.method);
+        const { status, headers = {}, body = {} } = responses.shift() || { status: 200 };
+        response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        response.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    responses = [];
+    requests = [];
+    configureRetry({ maxRetries: 3, baseDelay: 1 });
+});
+
+afterEach(() => {
+    configureRetry({ maxRetries: 3, baseDelay: 1000, maxDelay: 300000 });
+});
+
+test('retries a server error until the request succeeds', async () => {
+    responses.push({ status: 502 }, { status: 503 }, { status: 200, body: { id: 1 } });
+
+    const response = await withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup');
+
+    assert.deepStrictEqual(response.data, { id: 1 });
+    assert.deepStrictEqual(requests, ['GET', 'GET', 'GET']);
+});
+
+test('waits as long as the Retry-After header of a 429 response asks', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 });
+
+    const start = Date.now();
+    await withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup');
+
+    assert.ok(Date.now() - start >= 900, 'the retry should wait about one second');
+    assert.strictEqual(requests.length, 2);
+});
+
+test('waits for the X-RateLimit-Reset time of an exhausted rate limit', async () => {
+    const reset = String(Math.floor(Date.now() / 1000));
+    responses.push(
+        { status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset }, body: { message: 'API rate limit exceeded' } },
+        { status: 200 }
+    );
+
+    const start = Date.now();
+    await withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup');
+
+    // The reset time has passed already, so only the extra second of safety margin is left
+    assert.ok(Date.now() - start >= 900, 'the retry should wait until after the reset');
+    assert.strictEqual(requests.length, 2);
+});
+
+test('gives up at once if the server asks to wait longer than the maximum delay', async () => {
+    configureRetry({ maxDelay: 500 });
+    responses.push({ status: 429, headers: { 'Retry-After': '60' } });
+
+    await assert.rejects(withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup'), withStatus(429));
+    assert.strictEqual(requests.length, 1);
+});
+
+test('does not retry a request that the server rejected as invalid', async () => {
+    responses.push({ status: 404 });
+
+    await assert.rejects(withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup'), withStatus(404));
+    assert.strictEqual(requests.length, 1);
+});
+
+test('retries a POST request only if the server did not process it', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '0' } }, { status: 201, body: { id: 2 } });
+    const created = await withRetry(() => axios.post(`${baseUrl}/releases`, {}), 'Release creation', { idempotent: false });
+    assert.deepStrictEqual(created.data, { id: 2 });
+    assert.deepStrictEqual(requests, ['POST', 'POST']);
+
+    // After a server error the release may exist already, so the request is not sent again
+    requests = [];
+    responses.push({ status: 502 }, { status: 201 });
+    await assert.rejects(
+        withRetry(() => axios.post(`${baseUrl}/releases`, {}), 'Release creation', { idempotent: false }),
+        withStatus(502)
+    );
+    assert.deepStrictEqual(requests, ['POST']);
+});
+
+test('retries a POST request whose connection was refused', async () => {
+    // Nothing listens on port 1, so the request never reaches a server
+    let attempts = 0;
+    await assert.rejects(
+        withRetry(() => {
+            attempts++;
+            return axios.post('http://127.0.0.1:1/releases', {});
+        }, 'Release creation', { idempotent: false }),
+        { code: 'ECONNREFUSED' }
+    );
+    assert.strictEqual(attempts, 4);
+});
+
+test('stops after the maximum number of attempts', async () => {
+    configureRetry({ maxRetries: 2 });
+    responses.push({ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 });
+
+    await assert.rejects(withRetry(() => axios.get(`${baseUrl}/release`), 'Release lookup'), withStatus(503));
+    assert.strictEqual(requests.length, 3);
+});